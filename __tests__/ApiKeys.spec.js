@@ -0,0 +1,229 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const ApiKey = require('../src/auth/ApiKey')
+
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const authToken = async (credentials = { email, password }) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials)
+  return response.body.token
+}
+
+const apiKeyRequest = (method, url, { token, language, body } = {}) => {
+  const agent = request(app)[method](url)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send(body)
+}
+
+const validApiKey = { name: 'deploy script', scopes: ['users:read'] }
+
+const createApiKey = async (body = validApiKey) => {
+  const { id } = await addUser()
+  const token = await authToken()
+  const res = await apiKeyRequest('post', `/api/1.0/users/${id}/api-keys`, { token, body })
+  return { id, token, apiKey: res.body }
+}
+
+describe('API Key Creation', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await apiKeyRequest('post', '/api/1.0/users/5/api-keys', { body: validApiKey })
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_api_key_access}
+    ${'pl'}  | ${pl.unauthorized_api_key_access}
+  `('returns $message when key is created for another user and language is $language', async ({ language, message }) => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await authToken()
+    const res = await apiKeyRequest('post', `/api/1.0/users/${other.id}/api-keys`, { token, language, body: validApiKey })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns key together with its details once it is created', async () => {
+    const { apiKey } = await createApiKey()
+    expect(Object.keys(apiKey)).toEqual(['id', 'name', 'scopes', 'lastUsedAt', 'expiresAt', 'createdAt', 'key'])
+    expect(apiKey.name).toBe(validApiKey.name)
+    expect(apiKey.scopes).toEqual(validApiKey.scopes)
+    expect(apiKey.key).toMatch(/^hoax_\w+$/)
+  })
+  it('stores key hashed', async () => {
+    const { apiKey } = await createApiKey()
+    const apiKeyInDB = await ApiKey.findOne({ where: { id: apiKey.id } })
+    expect(apiKeyInDB.key).toBeTruthy()
+    expect(apiKeyInDB.key).not.toBe(apiKey.key)
+  })
+  it('stores expiry date when it is sent', async () => {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000)
+    const { apiKey } = await createApiKey({ ...validApiKey, expiresAt: expiresAt.toISOString() })
+    expect(new Date(apiKey.expiresAt).getTime()).toBe(expiresAt.getTime())
+  })
+  it.each`
+    field          | value                                     | message
+    ${'name'}      | ${null}                                   | ${'api_key_name_null'}
+    ${'name'}      | ${'a'.repeat(65)}                         | ${'api_key_name_size'}
+    ${'name'}      | ${{ a: 1 }}                               | ${'api_key_name_invalid'}
+    ${'name'}      | ${['key']}                                | ${'api_key_name_invalid'}
+    ${'scopes'}    | ${null}                                   | ${'api_key_scopes_null'}
+    ${'scopes'}    | ${[]}                                     | ${'api_key_scopes_null'}
+    ${'scopes'}    | ${['users:read', 'users:delete']}         | ${'api_key_scope_invalid'}
+    ${'expiresAt'} | ${'tomorrow'}                             | ${'api_key_expiry_invalid'}
+    ${'expiresAt'} | ${new Date(Date.now() - 1).toISOString()} | ${'api_key_expiry_invalid'}
+  `('returns $message when $field is $value', async ({ field, value, message }) => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const res = await apiKeyRequest('post', `/api/1.0/users/${id}/api-keys`, { token, body: { ...validApiKey, [field]: value } })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.api_key_scope_invalid}
+    ${'pl'}  | ${pl.api_key_scope_invalid}
+  `('returns $message for unknown scope when language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const body = { ...validApiKey, scopes: ['everything'] }
+    const res = await apiKeyRequest('post', `/api/1.0/users/${id}/api-keys`, { token, language, body })
+    expect(res.body.validationErrors.scopes).toBe(message)
+  })
+})
+
+describe('API Key Listing and Revocation', () => {
+  it('returns keys of the user without the key itself', async () => {
+    const { id, token } = await createApiKey()
+    const res = await apiKeyRequest('get', `/api/1.0/users/${id}/api-keys`, { token })
+    expect(res.status).toBe(200)
+    expect(res.body.length).toBe(1)
+    expect(Object.keys(res.body[0])).toEqual(['id', 'name', 'scopes', 'lastUsedAt', 'expiresAt', 'createdAt'])
+  })
+  it('returns 403 when keys of another user are listed', async () => {
+    const { token } = await createApiKey()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const res = await apiKeyRequest('get', `/api/1.0/users/${other.id}/api-keys`, { token })
+    expect(res.status).toBe(403)
+  })
+  it('revokes the key with given id', async () => {
+    const { id, token, apiKey } = await createApiKey()
+    const res = await apiKeyRequest('delete', `/api/1.0/users/${id}/api-keys/${apiKey.id}`, { token })
+    const apiKeyInDB = await ApiKey.findOne({ where: { id: apiKey.id } })
+    expect(res.status).toBe(200)
+    expect(apiKeyInDB).toBeNull()
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.api_key_not_found}
+    ${'pl'}  | ${pl.api_key_not_found}
+  `('returns 404 with $message when key belongs to another user and language is $language', async ({ language, message }) => {
+    const { apiKey } = await createApiKey()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await authToken({ email: 'user2@mail.com', password })
+    const res = await apiKeyRequest('delete', `/api/1.0/users/${other.id}/api-keys/${apiKey.id}`, { token, language })
+    const apiKeyInDB = await ApiKey.findOne({ where: { id: apiKey.id } })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(message)
+    expect(apiKeyInDB).not.toBeNull()
+  })
+  it('removes keys when user is deleted', async () => {
+    const { id, token } = await createApiKey()
+    await apiKeyRequest('delete', `/api/1.0/users/${id}`, { token })
+    const apiKeys = await ApiKey.findAll()
+    expect(apiKeys.length).toBe(0)
+  })
+})
+
+describe('API Key Authentication', () => {
+  it('authenticates request with the key', async () => {
+    const { apiKey } = await createApiKey()
+    await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const res = await apiKeyRequest('get', '/api/1.0/users', { token: apiKey.key })
+    expect(res.status).toBe(200)
+    expect(res.body.content.length).toBe(1)
+    expect(res.body.content[0].username).toBe('user2')
+  })
+  it('updates last used time of the key', async () => {
+    const { apiKey } = await createApiKey()
+    const rightBeforeRequest = Date.now()
+    await apiKeyRequest('get', '/api/1.0/users', { token: apiKey.key })
+    const apiKeyInDB = await ApiKey.findOne({ where: { id: apiKey.id } })
+    expect(apiKeyInDB.lastUsedAt.getTime()).toBeGreaterThanOrEqual(rightBeforeRequest)
+  })
+  it('allows user update when key has profile:write scope', async () => {
+    const { id, apiKey } = await createApiKey({ ...validApiKey, scopes: ['profile:write'] })
+    const res = await apiKeyRequest('put', `/api/1.0/users/${id}`, { token: apiKey.key, body: { username: 'user1-updated' } })
+    expect(res.status).toBe(200)
+  })
+  it('returns 403 for user update when key does not have profile:write scope', async () => {
+    const { id, apiKey } = await createApiKey()
+    const res = await apiKeyRequest('put', `/api/1.0/users/${id}`, { token: apiKey.key, body: { username: 'user1-updated' } })
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.api_key_scope_missing}
+    ${'pl'}  | ${pl.api_key_scope_missing}
+  `('returns $message when key does not have users:read scope and language is $language', async ({ language, message }) => {
+    const { id, apiKey } = await createApiKey({ ...validApiKey, scopes: ['profile:write'] })
+    const res = await apiKeyRequest('get', `/api/1.0/users/${id}`, { token: apiKey.key, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it.each`
+    method      | url
+    ${'get'}    | ${'/api/1.0/sessions'}
+    ${'get'}    | ${'/api/1.0/users/:id/api-keys'}
+    ${'post'}   | ${'/api/1.0/users/:id/api-keys'}
+    ${'delete'} | ${'/api/1.0/users/:id'}
+    ${'post'}   | ${'/api/1.0/users/:id/2fa'}
+  `('returns 401 for $method $url which does not accept API keys', async ({ method, url }) => {
+    const { id, apiKey } = await createApiKey({ ...validApiKey, scopes: ['users:read', 'profile:write'] })
+    const res = await apiKeyRequest(method, url.replace(':id', id), { token: apiKey.key, body: validApiKey })
+    expect(res.status).toBe(401)
+    expect(res.headers['www-authenticate']).not.toContain('ApiKey')
+  })
+  it('does not authenticate expired key', async () => {
+    const { id, apiKey } = await createApiKey({ ...validApiKey, scopes: ['profile:write'] })
+    await ApiKey.update({ expiresAt: new Date(Date.now() - 1) }, { where: { id: apiKey.id } })
+    const res = await apiKeyRequest('put', `/api/1.0/users/${id}`, { token: apiKey.key, body: { username: 'user1-updated' } })
+    expect(res.status).toBe(401)
+  })
+  it('does not authenticate revoked key', async () => {
+    const { id, token, apiKey } = await createApiKey({ ...validApiKey, scopes: ['profile:write'] })
+    await apiKeyRequest('delete', `/api/1.0/users/${id}/api-keys/${apiKey.id}`, { token })
+    const res = await apiKeyRequest('put', `/api/1.0/users/${id}`, { token: apiKey.key, body: { username: 'user1-updated' } })
+    expect(res.status).toBe(401)
+  })
+})
@@ -0,0 +1,46 @@
+const sequelize = require('../src/config/db')
+const MemoryAttemptStore = require('../src/throttle/MemoryAttemptStore')
+const DatabaseAttemptStore = require('../src/throttle/DatabaseAttemptStore')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+const attempt = { count: 2, locked: false, blockedUntil: 1000, lastAttemptAt: 500 }
+
+describe.each`
+  name          | store
+  ${'memory'}   | ${MemoryAttemptStore}
+  ${'database'} | ${DatabaseAttemptStore}
+`('$name attempt store', ({ store }) => {
+  beforeEach(async () => {
+    await store.clear()
+  })
+
+  it('returns null for unknown key', async () => {
+    expect(await store.get('unknown')).toBeNull()
+  })
+  it('returns saved attempt', async () => {
+    await store.save('key', attempt)
+    expect(await store.get('key')).toEqual(attempt)
+  })
+  it('overwrites attempt saved under the same key', async () => {
+    await store.save('key', attempt)
+    await store.save('key', { ...attempt, count: 3, locked: true })
+    expect(await store.get('key')).toEqual({ ...attempt, count: 3, locked: true })
+  })
+  it('removes attempt', async () => {
+    await store.save('key', attempt)
+    await store.remove('key')
+    expect(await store.get('key')).toBeNull()
+  })
+  it('prunes attempts which are neither recent nor blocked', async () => {
+    await store.save('stale', attempt)
+    await store.save('blocked', { ...attempt, blockedUntil: 3000 })
+    await store.save('recent', { ...attempt, lastAttemptAt: 2500 })
+    await store.prune(2000)
+    expect(await store.get('stale')).toBeNull()
+    expect(await store.get('blocked')).not.toBeNull()
+    expect(await store.get('recent')).not.toBeNull()
+  })
+})
@@ -0,0 +1,366 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const AuditEvent = require('../src/audit/AuditEvent')
+const AuditService = require('../src/audit/AuditService')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const totp = require('../src/shared/totp')
+const { hash, encrypt } = require('../src/shared/secret')
+const SMTPServer = require('smtp-server').SMTPServer
+
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let server
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      stream.on('data', () => {})
+      stream.on('end', callback)
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  await ThrottleService.clear()
+  await AuditEvent.destroy({ truncate: true })
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const addAdminAndUser = async () => {
+  const admin = await addUser({ ...validUser, username: 'admin', email: 'admin@mail.com', role: 'admin' })
+  const user = await addUser()
+  return { admin, user }
+}
+
+const login = (credentials = { email, password }) => {
+  return request(app).post('/api/1.0/auth').set('User-Agent', 'Audit Test/1.0').send(credentials)
+}
+
+const auth = async (credentials = { email, password }) => {
+  const response = await login(credentials)
+  return response.body.token
+}
+
+const findEvents = type => AuditEvent.findAll({ where: { type } })
+
+const getEvents = (query = {}, options = {}) => {
+  const agent = request(app).get('/api/1.0/audit-events').query(query)
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`)
+  }
+  return agent.send()
+}
+
+describe('Audit Events', () => {
+  it('records login success with actor, target, ip, user agent and time', async () => {
+    const user = await addUser()
+    const rightBeforeLogin = Date.now()
+    await login()
+    const [event] = await findEvents('login_success')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+    expect(event.ip).toBeTruthy()
+    expect(event.userAgent).toBe('Audit Test/1.0')
+    expect(event.createdAt.getTime()).toBeGreaterThanOrEqual(rightBeforeLogin)
+  })
+  it('records login failure for wrong password with the targeted user', async () => {
+    const user = await addUser()
+    await login({ email, password: 'incorrect' })
+    const [event] = await findEvents('login_failure')
+    expect(event.actorId).toBeNull()
+    expect(event.targetId).toBe(user.id)
+    expect(JSON.parse(event.details)).toEqual({ reason: 'invalid_credentials', email })
+  })
+  it('records login failure for unknown e-mail', async () => {
+    await login({ email: 'unknown@mail.com', password })
+    const [event] = await findEvents('login_failure')
+    expect(event.targetId).toBeNull()
+    expect(JSON.parse(event.details).email).toBe('unknown@mail.com')
+  })
+  it('records login failure for inactive account', async () => {
+    await addUser({ ...validUser, inactive: true })
+    await login()
+    const [event] = await findEvents('login_failure')
+    expect(JSON.parse(event.details).reason).toBe('inactive')
+  })
+  it('records logout', async () => {
+    const user = await addUser()
+    const token = await auth()
+    await request(app).post('/api/1.0/logout').set('Authorization', `Bearer ${token}`).send()
+    const [event] = await findEvents('logout')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records account activation', async () => {
+    const user = await addUser({
+      ...validUser,
+      inactive: true,
+      activationToken: hash('activation-token'),
+      activationTokenExpiresAt: new Date(Date.now() + 60 * 1000),
+    })
+    await request(app).post('/api/1.0/users/token/activation-token').send()
+    const [event] = await findEvents('account_activated')
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records password reset request and completion', async () => {
+    const user = await addUser()
+    await request(app).post('/api/1.0/user/password').send({ email })
+    await User.update({ passwordResetToken: hash('reset-token') }, { where: { id: user.id } })
+    await request(app).put('/api/1.0/user/password').send({ passwordResetToken: 'reset-token', password: 'N3wP4ssword' })
+    const [requested] = await findEvents('password_reset_requested')
+    const [completed] = await findEvents('password_reset_completed')
+    expect(requested.targetId).toBe(user.id)
+    expect(completed.targetId).toBe(user.id)
+  })
+  it('records password reset request for unknown e-mail', async () => {
+    await request(app).post('/api/1.0/user/password').send({ email: 'unknown@mail.com' })
+    const [event] = await findEvents('password_reset_requested')
+    expect(event.targetId).toBeNull()
+    expect(JSON.parse(event.details).email).toBe('unknown@mail.com')
+  })
+  it('records profile update with the admin as actor', async () => {
+    const { admin, user } = await addAdminAndUser()
+    const token = await auth({ email: 'admin@mail.com', password })
+    await request(app).put(`/api/1.0/users/${user.id}`).set('Authorization', `Bearer ${token}`).send({ username: 'user1-updated' })
+    const [event] = await findEvents('user_updated')
+    expect(event.actorId).toBe(admin.id)
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records user deletion and keeps it after the user is gone', async () => {
+    const user = await addUser()
+    const token = await auth()
+    await request(app).delete(`/api/1.0/users/${user.id}`).set('Authorization', `Bearer ${token}`).send()
+    const [event] = await findEvents('user_deleted')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records password change', async () => {
+    const user = await addUser()
+    const token = await auth()
+    await request(app)
+      .put(`/api/1.0/users/${user.id}/password`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: password, password: 'N3wP4ssword' })
+    const [event] = await findEvents('password_changed')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records e-mail change request with the requested address', async () => {
+    const user = await addUser()
+    const token = await auth()
+    await request(app)
+      .post(`/api/1.0/users/${user.id}/email`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@mail.com', currentPassword: password })
+    const [event] = await findEvents('email_change_requested')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+    expect(JSON.parse(event.details)).toEqual({ email: 'new@mail.com' })
+  })
+  it.each`
+    path                                         | type
+    ${'/api/1.0/user/email/change-token'}        | ${'email_change_confirmed'}
+    ${'/api/1.0/user/email/cancel-token/cancel'} | ${'email_change_cancelled'}
+  `('records $type', async ({ path, type }) => {
+    const user = await addUser()
+    await User.update(
+      {
+        pendingEmail: 'new@mail.com',
+        emailChangeToken: hash('change-token'),
+        emailChangeCancelToken: hash('cancel-token'),
+        emailChangeExpiresAt: new Date(Date.now() + 60 * 1000),
+      },
+      { where: { id: user.id } }
+    )
+    await request(app).post(path).send()
+    const [event] = await findEvents(type)
+    expect(event.targetId).toBe(user.id)
+  })
+  it('records two factor enabling and disabling', async () => {
+    const user = await addUser()
+    const token = await auth()
+    const secret = totp.generateSecret()
+    await User.update({ twoFactorSecret: encrypt(secret) }, { where: { id: user.id } })
+    const code = totp.generateCode(secret)
+    const { body } = await request(app).post(`/api/1.0/users/${user.id}/2fa/confirm`).set('Authorization', `Bearer ${token}`).send({ code })
+    await request(app).delete(`/api/1.0/users/${user.id}/2fa`).set('Authorization', `Bearer ${token}`).send({ code: body.recoveryCodes[0] })
+    const [enabled] = await findEvents('two_factor_enabled')
+    const [disabled] = await findEvents('two_factor_disabled')
+    expect(enabled.actorId).toBe(user.id)
+    expect(enabled.targetId).toBe(user.id)
+    expect(disabled.actorId).toBe(user.id)
+    expect(disabled.targetId).toBe(user.id)
+  })
+  it('records API key creation and revocation', async () => {
+    const user = await addUser()
+    const token = await auth()
+    const { body: apiKey } = await request(app)
+      .post(`/api/1.0/users/${user.id}/api-keys`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'deploy script', scopes: ['users:read'] })
+    await request(app).delete(`/api/1.0/users/${user.id}/api-keys/${apiKey.id}`).set('Authorization', `Bearer ${token}`).send()
+    const [created] = await findEvents('api_key_created')
+    const [revoked] = await findEvents('api_key_revoked')
+    expect(created.targetId).toBe(user.id)
+    expect(JSON.parse(created.details)).toEqual({ apiKeyId: apiKey.id, name: 'deploy script' })
+    expect(revoked.targetId).toBe(user.id)
+    expect(JSON.parse(revoked.details)).toEqual({ apiKeyId: apiKey.id })
+  })
+  it('records revocation of a single session', async () => {
+    const user = await addUser()
+    const token = await auth()
+    await auth()
+    const [, other] = await Token.findAll({ where: { userId: user.id }, order: [['id', 'ASC']] })
+    await request(app).delete(`/api/1.0/sessions/${other.id}`).set('Authorization', `Bearer ${token}`).send()
+    const [event] = await findEvents('session_revoked')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+    expect(JSON.parse(event.details)).toEqual({ sessionId: other.id })
+  })
+  it('records revocation of all other sessions', async () => {
+    const user = await addUser()
+    await auth()
+    await auth()
+    const token = await auth()
+    await request(app).delete('/api/1.0/sessions').set('Authorization', `Bearer ${token}`).send()
+    const [event] = await findEvents('sessions_revoked')
+    expect(event.actorId).toBe(user.id)
+    expect(event.targetId).toBe(user.id)
+    expect(JSON.parse(event.details)).toEqual({ count: 2 })
+  })
+})
+
+describe('Audit Log Query', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await getEvents()
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_audit_access}
+    ${'pl'}  | ${pl.unauthorized_audit_access}
+  `('returns $message when request is sent by a user who is not admin and language is $language', async ({ language, message }) => {
+    await addUser()
+    const token = await auth()
+    const res = await getEvents({}, { token, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns page object with newest events first', async () => {
+    await addAdminAndUser()
+    await login({ email, password: 'incorrect' })
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({}, { token })
+    expect(res.status).toBe(200)
+    expect(Object.keys(res.body)).toEqual(['content', 'page', 'size', 'totalPages'])
+    expect(res.body.content.map(event => event.type)).toEqual(['login_success', 'login_failure'])
+    expect(Object.keys(res.body.content[0])).toEqual(['id', 'type', 'actorId', 'targetId', 'ip', 'userAgent', 'details', 'createdAt'])
+  })
+  it('returns events paginated by page and size query', async () => {
+    await addAdminAndUser()
+    for (let i = 0; i < 3; i++) {
+      await login({ email: `unknown${i}@mail.com`, password })
+    }
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ page: 1, size: 2 }, { token })
+    expect(res.body.page).toBe(1)
+    expect(res.body.size).toBe(2)
+    expect(res.body.totalPages).toBe(2)
+    expect(res.body.content.length).toBe(2)
+  })
+  it('returns pagination links', async () => {
+    await addAdminAndUser()
+    for (let i = 0; i < 3; i++) {
+      await login({ email: `unknown${i}@mail.com`, password })
+    }
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ type: 'login_failure', size: 2 }, { token })
+    expect(res.headers.link).toBe(
+      '</api/1.0/audit-events?type=login_failure&size=2>; rel="first", </api/1.0/audit-events?type=login_failure&size=2&page=1>; rel="next", </api/1.0/audit-events?type=login_failure&size=2&page=1>; rel="last"'
+    )
+  })
+  it('filters events by user as actor or target', async () => {
+    const { user } = await addAdminAndUser()
+    await login()
+    await login({ email: 'unknown@mail.com', password })
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ userId: user.id }, { token })
+    expect(res.body.content.length).toBe(1)
+    expect(res.body.content[0].targetId).toBe(user.id)
+  })
+  it('filters events by type', async () => {
+    await addAdminAndUser()
+    await login({ email, password: 'incorrect' })
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ type: 'login_failure' }, { token })
+    expect(res.body.content.length).toBe(1)
+    expect(res.body.content[0].type).toBe('login_failure')
+  })
+  it('filters events by time range', async () => {
+    await addAdminAndUser()
+    await AuditEvent.create({ type: 'login_failure', createdAt: new Date('2021-01-01T10:00:00Z') })
+    await AuditEvent.create({ type: 'login_failure', createdAt: new Date('2021-02-01T10:00:00Z') })
+    await AuditEvent.create({ type: 'login_failure', createdAt: new Date('2021-03-01T10:00:00Z') })
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ from: '2021-01-15T00:00:00Z', to: '2021-02-15T00:00:00Z' }, { token })
+    expect(res.body.content.length).toBe(1)
+    expect(res.body.content[0].createdAt).toBe('2021-02-01T10:00:00.000Z')
+  })
+  it.each`
+    field       | value          | message
+    ${'userId'} | ${'abc'}       | ${'audit_user_invalid'}
+    ${'from'}   | ${'yesterday'} | ${'audit_time_invalid'}
+    ${'to'}     | ${'tomorrow'}  | ${'audit_time_invalid'}
+  `('returns 400 with $message when $field is $value', async ({ field, value, message }) => {
+    await addAdminAndUser()
+    const token = await auth({ email: 'admin@mail.com', password })
+    const res = await getEvents({ [field]: value }, { token })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+})
+
+describe('Audit Log Retention', () => {
+  it('prunes events older than the retention period', async () => {
+    const { retention } = config.audit
+    await AuditEvent.create({ type: 'login_failure', createdAt: new Date(Date.now() - retention - 1000) })
+    await AuditEvent.create({ type: 'login_success', createdAt: new Date(Date.now() - retention + 60 * 1000) })
+    await AuditService.prune()
+    const events = await AuditEvent.findAll()
+    expect(events.length).toBe(1)
+    expect(events[0].type).toBe('login_success')
+  })
+})
@@ -1,5 +1,6 @@
 const request = require('supertest')
 const bcrypt = require('bcrypt')
+const config = require('config')
 const sequelize = require('../src/config/db')
 const app = require('../src/app')
 const User = require('../src/user/User')
@@ -7,12 +8,16 @@ const User = require('../src/user/User')
 const en = require('../locales/en/translation.json')
 const pl = require('../locales/pl/translation.json')
 const Token = require('../src/auth/Token')
+const { hash } = require('../src/shared/secret')
+const RefreshToken = require('../src/auth/RefreshToken')
+const ThrottleService = require('../src/throttle/ThrottleService')
 
 beforeAll(async () => {
   await sequelize.sync()
 })
 
-beforeEach(() => {
+beforeEach(async () => {
+  await ThrottleService.clear()
   return User.destroy({ truncate: { cascade: true } })
 })
 
@@ -50,14 +55,14 @@ describe('Authentication', () => {
     const res = await login({ email, password })
     expect(res.status).toBe(200)
   })
-  it('returns only user id, username, image and token when credentials are correct', async () => {
+  it('returns only user id, username, image, token and refresh token when credentials are correct', async () => {
     const { id, username } = await addUser()
     const { email, password } = validUser
     const res = await login({ email, password })
 
     expect(res.body.username).toBe(username)
     expect(res.body.id).toBe(id)
-    expect(Object.keys(res.body)).toEqual(['id', 'username', 'token', 'image'])
+    expect(Object.keys(res.body)).toEqual(['id', 'username', 'token', 'refreshToken', 'image'])
   })
   it('returns 401 when user does not exist', async () => {
     const { email, password } = validUser
@@ -89,6 +94,16 @@ describe('Authentication', () => {
     const res = await login({ email, password: 'incorrect' })
     expect(res.status).toBe(401)
   })
+  it.each`
+    case              | credentials
+    ${'missing'}      | ${{ email }}
+    ${'not a string'} | ${{ email, password: 12345 }}
+  `('returns 401 when password of registered user is $case', async ({ credentials }) => {
+    await addUser()
+    const res = await login(credentials)
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe(en.authentication_failure)
+  })
   it('returns 403 when user is inactive', async () => {
     const { email } = await addUser({ ...validUser, inactive: true })
     const res = await login({ email, password: validUser.password })
@@ -128,6 +143,33 @@ describe('Authentication', () => {
     const response = await login({ email, password })
     expect(response.body.token).not.toBeUndefined()
   })
+  it('stores only hash of the token in DB', async () => {
+    await addUser()
+    const response = await login({ email, password })
+    const storedToken = await Token.findOne({ where: { token: response.body.token } })
+    const storedHash = await Token.findOne({ where: { token: hash(response.body.token) } })
+    expect(storedToken).toBeNull()
+    expect(storedHash).not.toBeNull()
+  })
+  it('stores only hash of the refresh token in DB', async () => {
+    await addUser()
+    const response = await login({ email, password })
+    const storedRefreshToken = await RefreshToken.findOne({ where: { token: response.body.refreshToken } })
+    expect(storedRefreshToken).toBeNull()
+  })
+  it('returns refresh token in response body when credentials are correct', async () => {
+    await addUser()
+    const response = await login({ email, password })
+    expect(response.body.refreshToken).not.toBeUndefined()
+  })
+  it('stores access token with expiration date', async () => {
+    await addUser()
+    const rightBeforeLogin = Date.now()
+    const response = await login({ email, password })
+    const tokenInDB = await Token.findOne({ where: { token: hash(response.body.token) } })
+    expect(tokenInDB.expiresAt.getTime()).toBeGreaterThan(rightBeforeLogin)
+    expect(tokenInDB.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + config.auth.accessTokenLifetime)
+  })
 })
 
 describe('Logout', () => {
@@ -140,9 +182,108 @@ describe('Logout', () => {
     const response = await login({ email, password })
     const token = response.body.token
     await logout({ token })
-    const storedToken = await Token.findOne({ where: { token } })
+    const storedToken = await Token.findOne({ where: { token: hash(token) } })
+    expect(storedToken).toBeNull()
+  })
+  it('removes refresh token from DB after logout', async () => {
+    await addUser()
+    const response = await login({ email, password })
+    const { token, refreshToken } = response.body
+    await logout({ token })
+    const storedRefreshToken = await RefreshToken.findOne({ where: { token: hash(refreshToken) } })
+    expect(storedRefreshToken).toBeNull()
+  })
+  it('returns 401 when logout is sent with an invalid token', async () => {
+    const res = await logout({ token: 'invalid-token' })
+    expect(res.status).toBe(401)
+  })
+  it('keeps the other sessions of the user after logout', async () => {
+    const user = await addUser()
+    await login({ email, password })
+    const response = await login({ email, password })
+    await logout({ token: response.body.token })
+    const tokens = await Token.findAll({ where: { userId: user.id } })
+    expect(tokens.length).toBe(1)
+  })
+})
+
+describe('Token Refresh', () => {
+  const refresh = (refreshToken, options = {}) => {
+    return request(app).post('/api/1.0/auth/refresh').set(options).send({ refreshToken })
+  }
+
+  const loginUser = async () => {
+    await addUser()
+    const response = await login({ email, password })
+    return response.body
+  }
+
+  it('returns 200 when refresh token is valid', async () => {
+    const { refreshToken } = await loginUser()
+    const res = await refresh(refreshToken)
+    expect(res.status).toBe(200)
+  })
+  it('returns only new token and refresh token when refresh token is valid', async () => {
+    const { token, refreshToken } = await loginUser()
+    const res = await refresh(refreshToken)
+    expect(Object.keys(res.body)).toEqual(['token', 'refreshToken'])
+    expect(res.body.token).not.toBe(token)
+    expect(res.body.refreshToken).not.toBe(refreshToken)
+  })
+  it('invalidates previous access token after refresh', async () => {
+    const { token, refreshToken } = await loginUser()
+    await refresh(refreshToken)
+    const storedToken = await Token.findOne({ where: { token: hash(token) } })
     expect(storedToken).toBeNull()
   })
+  it('returns 401 when refresh token is missing', async () => {
+    const res = await request(app).post('/api/1.0/auth/refresh').send()
+    expect(res.status).toBe(401)
+  })
+  it('returns 401 when refresh token is unknown', async () => {
+    const res = await refresh('unknown-refresh-token')
+    expect(res.status).toBe(401)
+  })
+  it.each`
+    language | message
+    ${'pl'}  | ${pl.authentication_failure}
+    ${'en'}  | ${en.authentication_failure}
+  `('returns $message when refresh fails and language is set as $language', async ({ language, message }) => {
+    const res = await refresh('unknown-refresh-token', { 'Accept-Language': language })
+    expect(res.body.path).toBe('/api/1.0/auth/refresh')
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 401 when refresh token is expired', async () => {
+    const { refreshToken } = await loginUser()
+    await RefreshToken.update({ expiresAt: new Date(Date.now() - 1) }, { where: { token: hash(refreshToken) } })
+    const res = await refresh(refreshToken)
+    expect(res.status).toBe(401)
+  })
+  it('returns 401 when refresh token is used for the second time', async () => {
+    const { refreshToken } = await loginUser()
+    await refresh(refreshToken)
+    const res = await refresh(refreshToken)
+    expect(res.status).toBe(401)
+  })
+  it('revokes the whole token family when used refresh token is replayed', async () => {
+    const { refreshToken } = await loginUser()
+    const rotated = await refresh(refreshToken)
+    await refresh(refreshToken)
+
+    const res = await refresh(rotated.body.refreshToken)
+    const storedToken = await Token.findOne({ where: { token: hash(rotated.body.token) } })
+    expect(res.status).toBe(401)
+    expect(storedToken).toBeNull()
+  })
+  it('keeps other sessions of the user when a token family is revoked', async () => {
+    const { refreshToken } = await loginUser()
+    const otherSession = await login({ email, password })
+    await refresh(refreshToken)
+    await refresh(refreshToken)
+
+    const res = await refresh(otherSession.body.refreshToken)
+    expect(res.status).toBe(200)
+  })
 })
 
 describe('Token Expiration', () => {
@@ -159,24 +300,28 @@ describe('Token Expiration', () => {
     return agent.send(body)
   }
 
-  it('returns 403 when token is older than 1 week', async () => {
+  const inFiveMinutes = () => new Date(Date.now() + 5 * 60 * 1000)
+
+  it('returns 401 when token is expired', async () => {
     const { id } = await addUser()
 
-    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000 - 1)
+    const oneMilisecondAgo = new Date(Date.now() - 1)
 
-    const testToken = await Token.create({ token: 'test-token', userId: id, lastUsedAt: oneWeekAgo })
-    const res = await updateUser({ body: { username: 'grzes' }, id, options: { token: testToken.token } })
-    expect(res.status).toBe(403)
+    const token = 'test-token'
+    await Token.create({ token: hash(token), userId: id, lastUsedAt: new Date(), expiresAt: oneMilisecondAgo })
+    const res = await updateUser({ body: { username: 'grzes' }, id, options: { token } })
+    expect(res.status).toBe(401)
   })
   it('refreshes lastUsedAt when unexpired token is used', async () => {
     const { id } = await addUser()
 
     const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000)
 
-    const testToken = await Token.create({ token: 'test-token', userId: id, lastUsedAt: fourDaysAgo })
+    const token = 'test-token'
+    await Token.create({ token: hash(token), userId: id, lastUsedAt: fourDaysAgo, expiresAt: inFiveMinutes() })
     const rightBeforeSendingRequest = new Date()
-    await updateUser({ body: { username: 'grzes' }, id, options: { token: testToken.token } })
-    const tokenInDB = await Token.findOne({ where: { token: testToken.token } })
+    await updateUser({ body: { username: 'grzes' }, id, options: { token } })
+    const tokenInDB = await Token.findOne({ where: { token: hash(token) } })
     expect(tokenInDB.lastUsedAt.getTime()).toBeGreaterThan(rightBeforeSendingRequest.getTime())
   })
 
@@ -185,10 +330,11 @@ describe('Token Expiration', () => {
 
     const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000)
 
-    const testToken = await Token.create({ token: 'test-token', userId: id, lastUsedAt: fourDaysAgo })
+    const token = 'test-token'
+    await Token.create({ token: hash(token), userId: id, lastUsedAt: fourDaysAgo, expiresAt: inFiveMinutes() })
     const rightBeforeSendingRequest = new Date()
-    await request(app).get('/api/1.0/users/5').set('Authorization', `Bearer ${testToken.token}`)
-    const tokenInDB = await Token.findOne({ where: { token: testToken.token } })
+    await request(app).get('/api/1.0/users/5').set('Authorization', `Bearer ${token}`)
+    const tokenInDB = await Token.findOne({ where: { token: hash(token) } })
     expect(tokenInDB.lastUsedAt.getTime()).toBeGreaterThan(rightBeforeSendingRequest.getTime())
   })
 })
@@ -0,0 +1,137 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  await ThrottleService.clear()
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const basic = (username, secret) => `Basic ${Buffer.from(`${username}:${secret}`).toString('base64')}`
+
+const putUser = (id, authorization, { language } = {}) => {
+  const agent = request(app).put(`/api/1.0/users/${id}`)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (authorization !== undefined) {
+    agent.set('Authorization', authorization)
+  }
+  return agent.send({ username: 'user1-updated' })
+}
+
+describe('Basic Authentication', () => {
+  it('authenticates request with e-mail and password', async () => {
+    const { id } = await addUser()
+    const res = await putUser(id, basic(email, password))
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(userInDB.username).toBe('user1-updated')
+  })
+  it('accepts passwords containing colons', async () => {
+    const { id } = await addUser({ ...validUser, password: 'P4ss:word' })
+    const res = await putUser(id, basic(email, 'P4ss:word'))
+    expect(res.status).toBe(200)
+  })
+  it.each`
+    case                       | user
+    ${'inactive'}              | ${{ inactive: true }}
+    ${'deactivated'}           | ${{ deactivatedAt: new Date() }}
+    ${'using two factor auth'} | ${{ twoFactorEnabled: true }}
+  `('returns 401 when account is $case', async ({ user }) => {
+    const { id } = await addUser({ ...validUser, ...user })
+    const res = await putUser(id, basic(email, password))
+    expect(res.status).toBe(401)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.authentication_failure}
+    ${'pl'}  | ${pl.authentication_failure}
+  `('returns 401 with $message when password is incorrect and language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    const res = await putUser(id, basic(email, 'incorrect'), { language })
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe(message)
+  })
+  it('locks the account after repeated failures', async () => {
+    const { id } = await addUser()
+    let res
+    for (let i = 0; i < 20 && res?.status !== 429; i++) {
+      res = await putUser(id, basic(email, 'incorrect'))
+    }
+    expect(res.status).toBe(429)
+  })
+})
+
+describe('Authentication Challenge', () => {
+  it('keeps request anonymous when authorization header is not sent', async () => {
+    const { id } = await addUser()
+    const res = await putUser(id)
+    expect(res.status).toBe(403)
+    expect(res.headers['www-authenticate']).toBeUndefined()
+  })
+  it('returns challenges of all schemes accepted by the route', async () => {
+    const { id } = await addUser()
+    const res = await putUser(id, 'Bearer invalid-token')
+    expect(res.status).toBe(401)
+    expect(res.headers['www-authenticate']).toBe('Bearer realm="hoaxify", Basic realm="hoaxify", charset="UTF-8", ApiKey realm="hoaxify"')
+  })
+  it('returns only the challenge of bearer tokens for password change', async () => {
+    const { id } = await addUser()
+    const res = await request(app).put(`/api/1.0/users/${id}/password`).set('Authorization', basic(email, password)).send()
+    expect(res.status).toBe(401)
+    expect(res.headers['www-authenticate']).toBe('Bearer realm="hoaxify"')
+  })
+  it.each`
+    case                         | authorization
+    ${'empty'}                   | ${''}
+    ${'scheme without value'}    | ${'Bearer'}
+    ${'value without scheme'}    | ${'some-token'}
+    ${'invalid base64'}          | ${'Basic #not-base64#'}
+    ${'basic without separator'} | ${`Basic ${Buffer.from(email).toString('base64')}`}
+  `('returns 401 with malformed message when header is $case', async ({ authorization }) => {
+    const { id } = await addUser()
+    const res = await putUser(id, authorization)
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe(en.authentication_malformed)
+    expect(res.headers['www-authenticate']).toBeTruthy()
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.authentication_scheme_unsupported}
+    ${'pl'}  | ${pl.authentication_scheme_unsupported}
+  `('returns 401 with $message when scheme is not accepted and language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    const res = await putUser(id, 'Digest username="user1"', { language })
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe(message)
+  })
+  it('does not authenticate requests to routes without authentication', async () => {
+    const res = await request(app).post('/api/1.0/users/activation').set('Authorization', 'Bearer invalid-token').send({ email })
+    expect(res.status).toBe(200)
+  })
+})
@@ -0,0 +1,328 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Follow = require('../src/follow/Follow')
+const Restriction = require('../src/restriction/Restriction')
+const AuditEvent = require('../src/audit/AuditEvent')
+const AuditService = require('../src/audit/AuditService')
+const DataExportService = require('../src/export/DataExportService')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let lastMail
+let server
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        lastMail = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  lastMail = undefined
+  await ThrottleService.clear()
+  await AuditEvent.destroy({ truncate: true })
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = async (credentials = { email, password }) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials)
+  return response.body
+}
+
+const requestExport = (id, { token, language } = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/export`)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send()
+}
+
+const waitForMail = async () => {
+  for (let i = 0; i < 100 && !lastMail; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  return lastMail
+}
+
+// undoes the quoted-printable soft line breaks and escaped equal signs of the mail body
+const exportLink = async () => {
+  const mail = (await waitForMail()).replace(/=\r\n/g, '').replace(/=3D/g, '=')
+  return mail.match(/Export Link is (\S+)/)[1]
+}
+
+const download = link => {
+  return request(app)
+    .get(link)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => callback(null, Buffer.concat(chunks)))
+    })
+}
+
+const unpack = archive => {
+  const tar = zlib.gunzipSync(archive)
+  const files = {}
+  let offset = 0
+  while (tar[offset] !== 0) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '')
+    const size = parseInt(tar.toString('utf8', offset + 124, offset + 136), 8)
+    files[name] = tar.slice(offset + 512, offset + 512 + size)
+    offset += 512 + Math.ceil(size / 512) * 512
+  }
+  return files
+}
+
+const exportOf = async () => {
+  const user = await addUser()
+  const { token } = await login()
+  await requestExport(user.id, { token })
+  const res = await download(await exportLink())
+  return { user, res, files: unpack(res.body) }
+}
+
+describe('Data Export Request', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await requestExport(5)
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_data_export}
+    ${'pl'}  | ${pl.unauthorized_data_export}
+  `('returns $message when data of another user is requested and language is $language', async ({ language, message }) => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const { token } = await login()
+    const res = await requestExport(other.id, { token, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.data_export_request_success}
+    ${'pl'}  | ${pl.data_export_request_success}
+  `('returns 202 with $message when request is valid and language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    const { token } = await login()
+    const res = await requestExport(id, { token, language })
+    await waitForMail()
+    expect(res.status).toBe(202)
+    expect(res.body.message).toBe(message)
+  })
+  it('sends signed export link to the e-mail of the user', async () => {
+    const { id } = await addUser()
+    const { token } = await login()
+    await requestExport(id, { token })
+    expect(await waitForMail()).toContain(email)
+    expect(await exportLink()).toMatch(/^\/api\/1.0\/exports\/\w+\?expires=\d+&signature=\w+$/)
+  })
+  it('records data export request', async () => {
+    const { id } = await addUser()
+    const { token } = await login()
+    await requestExport(id, { token })
+    await waitForMail()
+    const events = await AuditEvent.findAll({ where: { type: 'data_export_requested' } })
+    expect(events[0].targetId).toBe(id)
+  })
+  it('returns 429 with retry after when the user requests exports too often', async () => {
+    const { id } = await addUser()
+    const { token } = await login()
+    for (let i = 0; i <= config.dataExport.throttle.freeAttempts; i++) {
+      lastMail = undefined
+      await requestExport(id, { token })
+      await waitForMail()
+    }
+    const res = await requestExport(id, { token })
+    expect(res.status).toBe(429)
+    expect(res.body.message).toBe(en.too_many_attempts)
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0)
+  })
+})
+
+describe('Data Export Download', () => {
+  it('returns gzipped archive as attachment', async () => {
+    const { res } = await exportOf()
+    expect(res.status).toBe(200)
+    expect(res.headers['content-disposition']).toContain('hoaxify-data-export.tar.gz')
+    expect(res.headers['cache-control']).toBe('no-store')
+  })
+  it('contains profile, sessions, api keys, follows, restrictions and events', async () => {
+    const { user, files } = await exportOf()
+    expect(Object.keys(files)).toEqual(['profile.json', 'sessions.json', 'api-keys.json', 'follows.json', 'restrictions.json', 'events.json'])
+    const profile = JSON.parse(files['profile.json'])
+    expect(profile.id).toBe(user.id)
+    expect(profile.email).toBe(email)
+    expect(JSON.parse(files['sessions.json']).length).toBe(1)
+    expect(JSON.parse(files['events.json']).map(event => event.type)).toEqual(['data_export_requested', 'login_success'])
+  })
+  it('contains the privacy settings in the profile', async () => {
+    const user = await addUser({ ...validUser, privateProfile: true, privacy: JSON.stringify({ email: 'followers' }) })
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const profile = JSON.parse(unpack((await download(await exportLink())).body)['profile.json'])
+    expect(profile.privateProfile).toBe(true)
+    expect(profile.privacy.email).toBe('followers')
+  })
+  it('contains followers, following and pending follow requests', async () => {
+    const user = await addUser()
+    const follower = await addUser({ ...validUser, username: 'follower', email: 'follower@mail.com' })
+    const followee = await addUser({ ...validUser, username: 'followee', email: 'followee@mail.com' })
+    const requester = await addUser({ ...validUser, username: 'requester', email: 'requester@mail.com' })
+    const requested = await addUser({ ...validUser, username: 'requested', email: 'requested@mail.com' })
+    await Follow.bulkCreate([
+      { followerId: follower.id, followeeId: user.id },
+      { followerId: user.id, followeeId: followee.id },
+      { followerId: requester.id, followeeId: user.id, approved: false },
+      { followerId: user.id, followeeId: requested.id, approved: false },
+    ])
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const follows = JSON.parse(unpack((await download(await exportLink())).body)['follows.json'])
+    const usernamesOf = list => list.map(follow => follow.user.username)
+    expect(usernamesOf(follows.followers)).toEqual(['follower'])
+    expect(usernamesOf(follows.following)).toEqual(['followee'])
+    expect(usernamesOf(follows.receivedRequests)).toEqual(['requester'])
+    expect(usernamesOf(follows.sentRequests)).toEqual(['requested'])
+    expect(follows.followers[0].user).toEqual({ id: follower.id, username: 'follower' })
+  })
+  it('contains blocked and muted users', async () => {
+    const user = await addUser()
+    const blocked = await addUser({ ...validUser, username: 'blocked', email: 'blocked@mail.com' })
+    const muted = await addUser({ ...validUser, username: 'muted', email: 'muted@mail.com' })
+    await Restriction.bulkCreate([
+      { type: 'block', userId: user.id, targetId: blocked.id },
+      { type: 'mute', userId: user.id, targetId: muted.id },
+      { type: 'block', userId: muted.id, targetId: user.id },
+    ])
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const restrictions = JSON.parse(unpack((await download(await exportLink())).body)['restrictions.json'])
+    expect(restrictions.blocks.map(restriction => restriction.user)).toEqual([{ id: blocked.id, username: 'blocked' }])
+    expect(restrictions.mutes.map(restriction => restriction.user)).toEqual([{ id: muted.id, username: 'muted' }])
+  })
+  it('keeps ip and user agent only of events caused by the user', async () => {
+    const user = await addUser()
+    const origin = { ip: '203.0.113.7', userAgent: 'Stranger Agent' }
+    await AuditService.record('login_failure', { ...origin, targetId: user.id })
+    await AuditService.record('user_deactivated', { ...origin, actorId: user.id + 1, targetId: user.id })
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const files = unpack((await download(await exportLink())).body)
+    const events = JSON.parse(files['events.json'])
+    const foreign = events.filter(event => event.actorId !== user.id)
+    const own = events.filter(event => event.actorId === user.id)
+    expect(foreign.map(event => event.type).sort()).toEqual(['login_failure', 'user_deactivated'])
+    expect(foreign.every(event => !('ip' in event) && !('userAgent' in event))).toBe(true)
+    expect(own.length).toBeGreaterThan(0)
+    expect(own.every(event => 'ip' in event && 'userAgent' in event)).toBe(true)
+    expect(files['events.json'].toString()).not.toContain(origin.userAgent)
+  })
+  it('contains the profile image', async () => {
+    const image = 'export-profile-image'
+    const imageContent = fs.readFileSync(path.join('.', '__tests__', 'resources', 'bild.png'))
+    fs.writeFileSync(path.join('.', config.uploadDir, config.profileDir, image), imageContent)
+    const user = await addUser({ ...validUser, image })
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const res = await download(await exportLink())
+    expect(unpack(res.body)['profile-image'].equals(imageContent)).toBe(true)
+  })
+  it('does not contain password hash or token secrets', async () => {
+    const { user, files } = await exportOf()
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    const content = Object.values(files).join('')
+    expect(content).not.toContain(userInDB.password)
+    expect(content).not.toMatch(/"(password|token|activationToken|passwordResetToken|twoFactorSecret|key)"/)
+  })
+  it.each`
+    case                   | change
+    ${'changed signature'} | ${link => link.replace(/signature=\w/, 'signature=x')}
+    ${'changed expiry'}    | ${link => link.replace(/expires=(\d+)/, (match, expires) => `expires=${Number(expires) + 1}`)}
+    ${'changed file'}      | ${link => link.replace(/exports\/\w/, 'exports/x')}
+    ${'no signature'}      | ${link => link.replace(/&signature=\w+/, '')}
+  `('returns 403 when link has $case', async ({ change }) => {
+    const user = await addUser()
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const res = await download(change(await exportLink()))
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.data_export_link_invalid}
+    ${'pl'}  | ${pl.data_export_link_invalid}
+  `('returns 403 with $message when link is expired and language is $language', async ({ language, message }) => {
+    const user = await addUser()
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const link = await exportLink()
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now + config.dataExport.linkLifetime + 1000)
+    const res = await download(link).set('Accept-Language', language)
+    jest.restoreAllMocks()
+    expect(res.status).toBe(403)
+    expect(JSON.parse(res.body).message).toBe(message)
+  })
+  it('returns 404 when the export was cleaned up', async () => {
+    const user = await addUser()
+    const { token } = await login()
+    await requestExport(user.id, { token })
+    const link = await exportLink()
+    const fileName = link.match(/exports\/(\w+)/)[1]
+    fs.unlinkSync(path.join('.', config.uploadDir, config.exportDir, fileName))
+    const res = await download(link)
+    expect(res.status).toBe(404)
+  })
+  it('builds no archive for unknown users', async () => {
+    await DataExportService.buildExport(5)
+    expect(lastMail).toBeUndefined()
+  })
+})
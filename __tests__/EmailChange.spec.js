@@ -0,0 +1,240 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const { hash } = require('../src/shared/secret')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let mails
+let server
+let simulateSmtpFailure = false
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        if (simulateSmtpFailure) {
+          const err = new Error('Invalid mailbox')
+          err.responseCode = 553
+          return callback(err)
+        }
+        mails[session.envelope.rcptTo[0].address] = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  mails = {}
+  simulateSmtpFailure = false
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+const newEmail = 'new@mail.com'
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send({ email, password })
+  return response.body.token
+}
+
+const postRequest = (url, { token, language, body } = {}) => {
+  const agent = request(app).post(url)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send(body)
+}
+
+const requestEmailChange = async (body = { email: newEmail, currentPassword: password }, options = {}) => {
+  const { id } = await addUser()
+  const token = await login()
+  const res = await postRequest(`/api/1.0/users/${id}/email`, { token, body, ...options })
+  return { id, token, res }
+}
+
+const confirmationToken = () => mails[newEmail].match(/Confirmation Token is (\w+)/)[1]
+const cancelToken = () => mails[email].match(/Cancel Token is (\w+)/)[1]
+
+describe('E-mail Change Request', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await postRequest('/api/1.0/users/5/email', { body: { email: newEmail, currentPassword: password } })
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_email_change}
+    ${'pl'}  | ${pl.unauthorized_email_change}
+  `('returns $message when e-mail of another user is changed and language is $language', async ({ language, message }) => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await login()
+    const res = await postRequest(`/api/1.0/users/${other.id}/email`, { token, language, body: { email: newEmail, currentPassword: password } })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.email_change_request_success}
+    ${'pl'}  | ${pl.email_change_request_success}
+  `('returns $message when request is valid and language is $language', async ({ language, message }) => {
+    const { res } = await requestEmailChange(undefined, { language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('keeps the current e-mail until the change is confirmed', async () => {
+    const { id } = await requestEmailChange()
+    const userInDB = await User.findOne({ where: { id } })
+    expect(userInDB.email).toBe(email)
+    expect(userInDB.pendingEmail).toBe(newEmail)
+  })
+  it('sends confirmation token to the new e-mail and cancel token to the current e-mail', async () => {
+    await requestEmailChange()
+    expect(mails[newEmail]).toMatch(/Confirmation Token is \w+/)
+    expect(mails[email]).toMatch(/Cancel Token is \w+/)
+  })
+  it('stores tokens hashed', async () => {
+    const { id } = await requestEmailChange()
+    const userInDB = await User.findOne({ where: { id } })
+    expect(userInDB.emailChangeToken).toBe(hash(confirmationToken()))
+    expect(userInDB.emailChangeCancelToken).toBe(hash(cancelToken()))
+  })
+  it.each`
+    field                | value           | message
+    ${'email'}           | ${null}         | ${'email_null'}
+    ${'email'}           | ${'mail.com'}   | ${'email_invalid'}
+    ${'email'}           | ${email}        | ${'email_in_use'}
+    ${'currentPassword'} | ${null}         | ${'password_null'}
+    ${'currentPassword'} | ${'Incorrect1'} | ${'password_incorrect'}
+  `('returns $message when $field is $value', async ({ field, value, message }) => {
+    const { res } = await requestEmailChange({ email: newEmail, currentPassword: password, [field]: value })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.password_incorrect}
+    ${'pl'}  | ${pl.password_incorrect}
+  `('returns $message when current password is incorrect and language is $language', async ({ language, message }) => {
+    const { res } = await requestEmailChange({ email: newEmail, currentPassword: 'Incorrect1' }, { language })
+    expect(res.body.validationErrors.currentPassword).toBe(message)
+  })
+  it('returns 502 and discards the change when sending e-mail fails', async () => {
+    simulateSmtpFailure = true
+    const { id, res } = await requestEmailChange()
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(502)
+    expect(userInDB.pendingEmail).toBeNull()
+  })
+})
+
+describe('E-mail Change Confirmation', () => {
+  it('changes the e-mail when confirmation token is sent', async () => {
+    const { id } = await requestEmailChange()
+    const res = await postRequest(`/api/1.0/user/email/${confirmationToken()}`)
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.email_change_success)
+    expect(userInDB.email).toBe(newEmail)
+    expect(userInDB.pendingEmail).toBeNull()
+    expect(userInDB.emailChangeToken).toBeNull()
+  })
+  it('revokes all sessions except the one confirming the change', async () => {
+    const { id, token } = await requestEmailChange()
+    await login()
+    await postRequest(`/api/1.0/user/email/${confirmationToken()}`, { token })
+    const sessions = await Token.findAll({ where: { userId: id } })
+    expect(sessions.length).toBe(1)
+    expect(sessions[0].token).toBe(hash(token))
+  })
+  it('revokes all sessions when change is confirmed unauthenticated', async () => {
+    const { id } = await requestEmailChange()
+    await postRequest(`/api/1.0/user/email/${confirmationToken()}`)
+    const sessions = await Token.findAll({ where: { userId: id } })
+    expect(sessions.length).toBe(0)
+  })
+  it('returns 400 when new e-mail got registered meanwhile', async () => {
+    const { id } = await requestEmailChange()
+    await addUser({ ...validUser, username: 'user2', email: newEmail })
+    const res = await postRequest(`/api/1.0/user/email/${confirmationToken()}`)
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.email).toBe(en.email_in_use)
+    expect(userInDB.email).toBe(email)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.email_change_failure}
+    ${'pl'}  | ${pl.email_change_failure}
+  `('returns 400 with $message when token is expired and language is $language', async ({ language, message }) => {
+    const { id } = await requestEmailChange()
+    await User.update({ emailChangeExpiresAt: new Date(Date.now() - 1) }, { where: { id } })
+    const res = await postRequest(`/api/1.0/user/email/${confirmationToken()}`, { language })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 400 when cancel token is sent as confirmation', async () => {
+    await requestEmailChange()
+    const res = await postRequest(`/api/1.0/user/email/${cancelToken()}`)
+    expect(res.status).toBe(400)
+  })
+})
+
+describe('E-mail Change Cancellation', () => {
+  it('discards the pending change when cancel token is sent', async () => {
+    const { id } = await requestEmailChange()
+    const res = await postRequest(`/api/1.0/user/email/${cancelToken()}/cancel`)
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.email_change_cancel_success)
+    expect(userInDB.pendingEmail).toBeNull()
+    expect(userInDB.email).toBe(email)
+  })
+  it('does not accept confirmation token after the change is cancelled', async () => {
+    await requestEmailChange()
+    await postRequest(`/api/1.0/user/email/${cancelToken()}/cancel`)
+    const res = await postRequest(`/api/1.0/user/email/${confirmationToken()}`)
+    expect(res.status).toBe(400)
+  })
+  it('returns 400 when cancel token is invalid', async () => {
+    const res = await postRequest('/api/1.0/user/email/invalid-token/cancel')
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(en.email_change_failure)
+  })
+})
@@ -0,0 +1,473 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Follow = require('../src/follow/Follow')
+const UserService = require('../src/user/UserService')
+const { hash } = require('../src/shared/secret')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let server
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      stream.on('data', () => {})
+      stream.on('end', callback)
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const addUsers = async count => {
+  const users = []
+  for (let i = 1; i <= count; i++) {
+    users.push(await addUser({ ...validUser, username: `user${i}`, email: `user${i}@mail.com` }))
+  }
+  return users
+}
+
+const auth = async (credentials = { email, password }) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials)
+  return response.body.token
+}
+
+const followRequest = (method, url, { token, language, query = {} } = {}) => {
+  const agent = request(app)[method](url).query(query)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send()
+}
+
+const follow = (id, options) => followRequest('post', `/api/1.0/users/${id}/follow`, options)
+const unfollow = (id, options) => followRequest('delete', `/api/1.0/users/${id}/follow`, options)
+
+describe('Follow', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const [, other] = await addUsers(2)
+    const res = await follow(other.id)
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_follow}
+    ${'pl'}  | ${pl.unauthorized_follow}
+  `('returns $message when request is sent unauthorized and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const res = await follow(other.id, { language })
+    expect(res.body.message).toBe(message)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_success}
+    ${'pl'}  | ${pl.follow_success}
+  `('returns $message when user is followed and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const res = await follow(other.id, { token, language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('saves the relation between follower and followed user', async () => {
+    const [user, other] = await addUsers(2)
+    const token = await auth()
+    await follow(other.id, { token })
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(1)
+    expect(follows[0].followerId).toBe(user.id)
+    expect(follows[0].followeeId).toBe(other.id)
+  })
+  it('follows with basic authentication', async () => {
+    const [, other] = await addUsers(2)
+    const res = await request(app).post(`/api/1.0/users/${other.id}/follow`).auth(email, password).send()
+    expect(res.status).toBe(200)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_self}
+    ${'pl'}  | ${pl.follow_self}
+  `('returns 400 with $message when user follows themselves and language is $language', async ({ language, message }) => {
+    const [user] = await addUsers(1)
+    const token = await auth()
+    const res = await follow(user.id, { token, language })
+    const follows = await Follow.findAll()
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+    expect(follows.length).toBe(0)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_duplicate}
+    ${'pl'}  | ${pl.follow_duplicate}
+  `('returns 400 with $message when user is already followed and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    await follow(other.id, { token })
+    const res = await follow(other.id, { token, language })
+    const follows = await Follow.findAll()
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+    expect(follows.length).toBe(1)
+  })
+  it('keeps a single relation when the same user is followed concurrently', async () => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const responses = await Promise.all([follow(other.id, { token }), follow(other.id, { token })])
+    const follows = await Follow.findAll()
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400])
+    expect(follows.length).toBe(1)
+  })
+  it.each`
+    state                    | fields
+    ${'not existing'}        | ${null}
+    ${'inactive'}            | ${{ inactive: true }}
+    ${'deactivated'}         | ${{ deactivatedAt: new Date() }}
+    ${'pending for removal'} | ${{ deletionRequestedAt: new Date() }}
+  `('returns 404 when followed user is $state', async ({ fields }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    if (fields) await User.update(fields, { where: { id: other.id } })
+    const res = await follow(fields ? other.id : other.id + 5, { token })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en.user_not_found)
+  })
+})
+
+describe('Unfollow', () => {
+  it.each`
+    language | message
+    ${'en'}  | ${en.unfollow_success}
+    ${'pl'}  | ${pl.unfollow_success}
+  `('returns $message and removes the relation when language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    await follow(other.id, { token })
+    const res = await unfollow(other.id, { token, language })
+    const follows = await Follow.findAll()
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+    expect(follows.length).toBe(0)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_not_found}
+    ${'pl'}  | ${pl.follow_not_found}
+  `('returns 404 with $message when user is not followed and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const res = await unfollow(other.id, { token, language })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(message)
+  })
+  it('keeps relations of other users', async () => {
+    const [, other, third] = await addUsers(3)
+    const token = await auth()
+    await follow(other.id, { token })
+    await follow(third.id, { token: await auth({ email: 'user2@mail.com', password }) })
+    await unfollow(other.id, { token })
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(1)
+    expect(follows[0].followerId).toBe(other.id)
+  })
+  it('returns 403 when request is sent unauthorized', async () => {
+    const [, other] = await addUsers(2)
+    const res = await unfollow(other.id)
+    expect(res.status).toBe(403)
+  })
+})
+
+describe('Followers and Following Listing', () => {
+  it('returns page object with followers', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    const res = await followRequest('get', `/api/1.0/users/${user.id}/followers`)
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({
+      content: [expect.objectContaining({ id: other.id, username: 'user2' })],
+      page: 0,
+      size: 10,
+      totalPages: 1,
+    })
+    expect(Object.keys(res.body.content[0])).toEqual(['id', 'username', 'image', 'displayName', 'bio', 'location', 'website', 'pronouns'])
+  })
+  it('returns users followed by the user', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    const res = await followRequest('get', `/api/1.0/users/${user.id}/following`)
+    expect(res.body.content.map(followee => followee.id)).toEqual([other.id])
+  })
+  it('returns the most recent follows first', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: other.id, followeeId: user.id, createdAt: new Date(Date.now() - 60 * 1000) })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    const res = await followRequest('get', `/api/1.0/users/${user.id}/followers`)
+    expect(res.body.content.map(follower => follower.id)).toEqual([third.id, other.id])
+  })
+  it('returns followers paginated with links', async () => {
+    const [user, ...followers] = await addUsers(4)
+    for (const follower of followers) {
+      await Follow.create({ followerId: follower.id, followeeId: user.id })
+    }
+    const res = await followRequest('get', `/api/1.0/users/${user.id}/followers`, { query: { page: 1, size: 2 } })
+    const path = `/api/1.0/users/${user.id}/followers`
+    expect(res.body.page).toBe(1)
+    expect(res.body.totalPages).toBe(2)
+    expect(res.body.content.length).toBe(1)
+    expect(res.headers.link).toBe(`<${path}?size=2>; rel="first", <${path}?size=2&page=0>; rel="prev", <${path}?size=2&page=1>; rel="last"`)
+  })
+  it.each`
+    state            | fields
+    ${'inactive'}    | ${{ inactive: true }}
+    ${'deactivated'} | ${{ deactivatedAt: new Date() }}
+    ${'deleted'}     | ${{ deletionRequestedAt: new Date() }}
+  `('excludes $state followers from the list and the counts', async ({ fields }) => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    await User.update(fields, { where: { id: third.id } })
+    const list = await followRequest('get', `/api/1.0/users/${user.id}/followers`)
+    const profile = await followRequest('get', `/api/1.0/users/${user.id}`)
+    expect(list.body.content.map(follower => follower.id)).toEqual([other.id])
+    expect(list.body.totalPages).toBe(1)
+    expect(profile.body.followersCount).toBe(1)
+  })
+  it.each`
+    path
+    ${'followers'}
+    ${'following'}
+  `('returns 404 for $path of a user who does not exist', async ({ path }) => {
+    const res = await followRequest('get', `/api/1.0/users/5/${path}`)
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en.user_not_found)
+  })
+})
+
+describe('Follow Counts', () => {
+  it('returns follower and following counts of the user', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    const res = await followRequest('get', `/api/1.0/users/${user.id}`)
+    expect(res.body.followersCount).toBe(2)
+    expect(res.body.followingCount).toBe(1)
+  })
+  it('returns zero counts for a user without follows', async () => {
+    const [user] = await addUsers(1)
+    const res = await followRequest('get', `/api/1.0/users/${user.id}`)
+    expect(res.body.followersCount).toBe(0)
+    expect(res.body.followingCount).toBe(0)
+  })
+})
+
+describe('Follow Requests', () => {
+  const requireApproval = (user, fields = { privacy: JSON.stringify({ bio: 'followers' }) }) => User.update(fields, { where: { id: user.id } })
+
+  const followRequests = (id, options) => followRequest('get', `/api/1.0/users/${id}/follow-requests`, options)
+  const approve = (id, followerId, options) => followRequest('post', `/api/1.0/users/${id}/follow-requests/${followerId}`, options)
+  const reject = (id, followerId, options) => followRequest('delete', `/api/1.0/users/${id}/follow-requests/${followerId}`, options)
+
+  it.each`
+    case                      | fields
+    ${'followers-only field'} | ${{ privacy: JSON.stringify({ bio: 'followers' }) }}
+    ${'private profile'}      | ${{ privateProfile: true }}
+  `('keeps follow pending when followed user has $case', async ({ fields }) => {
+    const [, other] = await addUsers(2)
+    await requireApproval(other, fields)
+    await follow(other.id, { token: await auth() })
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(1)
+    expect(follows[0].approved).toBe(false)
+  })
+  it('approves follow at once when nothing on the profile is limited to followers', async () => {
+    const [, other] = await addUsers(2)
+    await User.update({ privacy: JSON.stringify({ bio: 'authenticated' }) }, { where: { id: other.id } })
+    await follow(other.id, { token: await auth() })
+    const follows = await Follow.findAll()
+    expect(follows[0].approved).toBe(true)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_request_sent}
+    ${'pl'}  | ${pl.follow_request_sent}
+  `('returns $message when follow waits for approval and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    await requireApproval(other)
+    const res = await follow(other.id, { token: await auth(), language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('leaves pending follows out of lists and counts', async () => {
+    const [user, other] = await addUsers(2)
+    await requireApproval(other)
+    await follow(other.id, { token: await auth() })
+    const followers = await followRequest('get', `/api/1.0/users/${other.id}/followers`)
+    const following = await followRequest('get', `/api/1.0/users/${user.id}/following`)
+    const profile = await followRequest('get', `/api/1.0/users/${other.id}`)
+    expect(followers.body.content).toEqual([])
+    expect(following.body.content).toEqual([])
+    expect(profile.body.followersCount).toBe(0)
+  })
+  it('lists pending follows to the followed user', async () => {
+    const [user, other, third] = await addUsers(3)
+    await requireApproval(user)
+    await Follow.create({ followerId: other.id, followeeId: user.id, approved: false })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    const res = await followRequests(user.id, { token: await auth() })
+    expect(res.status).toBe(200)
+    expect(res.body.content.map(follower => follower.id)).toEqual([other.id])
+    expect(res.body.totalPages).toBe(1)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_follow_request_access}
+    ${'pl'}  | ${pl.unauthorized_follow_request_access}
+  `('returns 403 with $message when follow requests of another user are managed and language is $language', async ({ language, message }) => {
+    const [, other, third] = await addUsers(3)
+    await Follow.create({ followerId: third.id, followeeId: other.id, approved: false })
+    const token = await auth()
+    const responses = [
+      await followRequests(other.id, { token, language }),
+      await approve(other.id, third.id, { token, language }),
+      await reject(other.id, third.id, { token, language }),
+    ]
+    expect(responses.map(res => res.status)).toEqual([403, 403, 403])
+    expect(responses.map(res => res.body.message)).toEqual([message, message, message])
+    expect((await Follow.findOne({ where: { followerId: third.id } })).approved).toBe(false)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_request_approve_success}
+    ${'pl'}  | ${pl.follow_request_approve_success}
+  `('returns $message and counts the follow once it is approved and language is $language', async ({ language, message }) => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: other.id, followeeId: user.id, approved: false })
+    const res = await approve(user.id, other.id, { token: await auth(), language })
+    const profile = await followRequest('get', `/api/1.0/users/${user.id}`)
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+    expect(profile.body.followersCount).toBe(1)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.follow_request_reject_success}
+    ${'pl'}  | ${pl.follow_request_reject_success}
+  `('returns $message and removes the follow when it is rejected and language is $language', async ({ language, message }) => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: other.id, followeeId: user.id, approved: false })
+    const res = await reject(user.id, other.id, { token: await auth(), language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+    expect(await Follow.count()).toBe(0)
+  })
+  it.each`
+    action       | send
+    ${'approve'} | ${approve}
+    ${'reject'}  | ${reject}
+  `('returns 404 when there is no pending follow to $action', async ({ send }) => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    const res = await send(user.id, other.id, { token: await auth() })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en.follow_request_not_found)
+    expect(await Follow.count()).toBe(1)
+  })
+  it('lets the follower withdraw a pending follow', async () => {
+    const [, other] = await addUsers(2)
+    await requireApproval(other)
+    const token = await auth()
+    await follow(other.id, { token })
+    const res = await unfollow(other.id, { token })
+    expect(res.status).toBe(200)
+    expect(await Follow.count()).toBe(0)
+  })
+})
+
+describe('Follow Cleanup', () => {
+  const deleteAccount = async user => {
+    const token = await auth({ email: user.email, password })
+    await request(app).delete(`/api/1.0/users/${user.id}`).set('Authorization', `Bearer ${token}`).send()
+  }
+
+  it('keeps follows while the account is deleted but hides them from listings and counts', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await deleteAccount(user)
+    const profile = await followRequest('get', `/api/1.0/users/${other.id}`)
+    const followers = await followRequest('get', `/api/1.0/users/${other.id}/followers`)
+    const following = await followRequest('get', `/api/1.0/users/${other.id}/following`)
+    expect(await Follow.count()).toBe(2)
+    expect(profile.body.followersCount).toBe(0)
+    expect(profile.body.followingCount).toBe(0)
+    expect(followers.body.content).toEqual([])
+    expect(following.body.content).toEqual([])
+  })
+  it('brings follows back when the account is restored', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await deleteAccount(user)
+    await User.update({ restoreToken: hash('restore-token') }, { where: { id: user.id } })
+    await request(app).post('/api/1.0/user/restore/restore-token').send()
+    const profile = await followRequest('get', `/api/1.0/users/${user.id}`)
+    expect(profile.body.followersCount).toBe(1)
+    expect(profile.body.followingCount).toBe(1)
+  })
+  it('removes follows in both directions when the account is purged', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await Follow.create({ followerId: other.id, followeeId: third.id })
+    await deleteAccount(user)
+    await User.update({ deletionRequestedAt: new Date(Date.now() - config.deletion.gracePeriod - 1000) }, { where: { id: user.id } })
+    await UserService.purge()
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(1)
+    expect(follows[0].followeeId).toBe(third.id)
+  })
+  it('removes follows when the user row is removed', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await user.destroy()
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(0)
+  })
+})
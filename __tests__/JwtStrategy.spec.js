@@ -0,0 +1,140 @@
+process.env.NODE_CONFIG = JSON.stringify({
+  auth: {
+    tokenStrategy: 'jwt',
+    jwt: {
+      signingKey: 'key-2',
+      keys: {
+        'key-1': { secret: 'previous-jwt-secret' },
+        'key-2': { secret: 'current-jwt-secret' },
+      },
+    },
+  },
+})
+
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const jwt = require('jsonwebtoken')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const RevokedToken = require('../src/auth/RevokedToken')
+
+delete process.env.NODE_CONFIG
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  await RevokedToken.destroy({ truncate: true })
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+const { issuer, audience } = config.auth.jwt
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send({ email, password })
+  return response.body
+}
+
+const getSessions = token => {
+  return request(app).get('/api/1.0/sessions').set('Authorization', `Bearer ${token}`).send()
+}
+
+const sign = (payload, { kid = 'key-2', secret = 'current-jwt-secret', ...options } = {}) => {
+  return jwt.sign({ sid: 1, role: 'user', ...payload }, secret, { algorithm: 'HS256', keyid: kid, issuer, audience, expiresIn: 60, jwtid: 'jti', ...options })
+}
+
+describe('JWT Token Strategy', () => {
+  it('returns signed token with key id, issuer and audience on login', async () => {
+    const { id } = await addUser()
+    const { token } = await login()
+    const { header, payload } = jwt.decode(token, { complete: true })
+    expect(header.alg).toBe('HS256')
+    expect(header.kid).toBe('key-2')
+    expect(payload.iss).toBe(issuer)
+    expect(payload.aud).toBe(audience)
+    expect(payload.sub).toBe(String(id))
+  })
+  it('returns token which expires together with the session access token', async () => {
+    await addUser()
+    const { token } = await login()
+    const { exp, sid } = jwt.decode(token)
+    const tokenInDB = await Token.findOne({ where: { id: sid } })
+    expect(exp).toBe(Math.floor(tokenInDB.expiresAt.getTime() / 1000))
+  })
+  it('authenticates requests with the signed token', async () => {
+    await addUser()
+    const { token } = await login()
+    const res = await getSessions(token)
+    expect(res.status).toBe(200)
+    expect(res.body[0].current).toBe(true)
+  })
+  it('authenticates token signed with a previous verification key', async () => {
+    const user = await addUser()
+    const token = sign({}, { kid: 'key-1', secret: 'previous-jwt-secret', subject: String(user.id) })
+    const res = await getSessions(token)
+    expect(res.status).toBe(200)
+  })
+  it.each`
+    case                     | options
+    ${'unknown key id'}      | ${{ kid: 'key-3' }}
+    ${'wrong secret'}        | ${{ secret: 'other-secret' }}
+    ${'other issuer'}        | ${{ issuer: 'other' }}
+    ${'other audience'}      | ${{ audience: 'other' }}
+    ${'expired token'}       | ${{ expiresIn: -10 }}
+    ${'key of other key id'} | ${{ kid: 'key-1' }}
+  `('does not authenticate token with $case', async ({ options }) => {
+    const user = await addUser()
+    const token = sign({}, { subject: String(user.id), ...options })
+    const res = await getSessions(token)
+    expect(res.status).toBe(401)
+  })
+  it('does not authenticate token after logout', async () => {
+    await addUser()
+    const { token } = await login()
+    await request(app).post('/api/1.0/logout').set('Authorization', `Bearer ${token}`).send()
+    const res = await getSessions(token)
+    expect(res.status).toBe(401)
+  })
+  it('puts token on revocation list after logout', async () => {
+    await addUser()
+    const { token } = await login()
+    await request(app).post('/api/1.0/logout').set('Authorization', `Bearer ${token}`).send()
+    const revokedTokens = await RevokedToken.findAll()
+    expect(revokedTokens.length).toBe(1)
+  })
+  it('does not authenticate previous token after refresh', async () => {
+    await addUser()
+    const { token, refreshToken } = await login()
+    const refreshed = await request(app).post('/api/1.0/auth/refresh').send({ refreshToken })
+    const previous = await getSessions(token)
+    const current = await getSessions(refreshed.body.token)
+    expect(previous.status).toBe(401)
+    expect(current.status).toBe(200)
+  })
+  it('does not authenticate tokens of revoked sessions', async () => {
+    await addUser()
+    const other = await login()
+    const { token } = await login()
+    await request(app).delete('/api/1.0/sessions').set('Authorization', `Bearer ${token}`).send()
+    const res = await getSessions(other.token)
+    expect(res.status).toBe(401)
+  })
+})
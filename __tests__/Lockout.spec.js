@@ -0,0 +1,258 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let lastMail
+let server
+let timeOffset
+
+const realNow = Date.now
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        lastMail = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  lastMail = undefined
+  timeOffset = 0
+  jest.spyOn(Date, 'now').mockImplementation(() => realNow() + timeOffset)
+  await ThrottleService.clear()
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+const { account, ip } = config.auth.lockout
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = (credentials = { email, password }, options = {}) => {
+  const agent = request(app).post('/api/1.0/auth')
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  return agent.send(credentials)
+}
+
+const advanceTime = ms => {
+  timeOffset += ms
+}
+
+const failLogins = async (count, credentials = { email, password: 'incorrect' }) => {
+  for (let i = 0; i < count; i++) {
+    await login(credentials)
+    advanceTime(60 * 1000)
+  }
+}
+
+const lockAccount = () => failLogins(account.maxAttempts)
+
+const unlock = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/auth/unlock/${token}`)
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  return agent.send()
+}
+
+describe('Progressive Delay', () => {
+  it('returns 401 for failed attempts within the free attempts limit', async () => {
+    await addUser()
+    for (let i = 0; i < account.freeAttempts; i++) {
+      const res = await login({ email, password: 'incorrect' })
+      expect(res.status).toBe(401)
+    }
+  })
+  it('returns 429 when attempt is sent before the delay after exceeding free attempts passes', async () => {
+    await addUser()
+    for (let i = 0; i <= account.freeAttempts; i++) {
+      await login({ email, password: 'incorrect' })
+    }
+    const res = await login()
+    expect(res.status).toBe(429)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.too_many_attempts}
+    ${'pl'}  | ${pl.too_many_attempts}
+  `('returns $message with Retry-After header during the delay when language is $language', async ({ language, message }) => {
+    await addUser()
+    for (let i = 0; i <= account.freeAttempts; i++) {
+      await login({ email, password: 'incorrect' })
+    }
+    const res = await login({ email, password }, { language })
+    expect(res.body.message).toBe(message)
+    expect(res.headers['retry-after']).toBe(String(account.baseDelay / 1000))
+  })
+  it('doubles the delay with every further failed attempt', async () => {
+    await addUser()
+    for (let i = 0; i <= account.freeAttempts; i++) {
+      await login({ email, password: 'incorrect' })
+    }
+    advanceTime(account.baseDelay)
+    await login({ email, password: 'incorrect' })
+    const res = await login()
+    expect(res.headers['retry-after']).toBe(String((2 * account.baseDelay) / 1000))
+  })
+  it('accepts valid credentials once the delay passes', async () => {
+    await addUser()
+    for (let i = 0; i <= account.freeAttempts; i++) {
+      await login({ email, password: 'incorrect' })
+    }
+    advanceTime(account.baseDelay)
+    const res = await login()
+    expect(res.status).toBe(200)
+  })
+  it('counts attempts without password as failures', async () => {
+    await addUser()
+    for (let i = 0; i <= account.freeAttempts; i++) {
+      await login({ email })
+    }
+    const res = await login()
+    expect(res.status).toBe(429)
+  })
+  it('resets failed attempts after successful login', async () => {
+    await addUser()
+    await failLogins(account.freeAttempts)
+    await login()
+    await login({ email, password: 'incorrect' })
+    const res = await login()
+    expect(res.status).toBe(200)
+  })
+})
+
+describe('Account Lockout', () => {
+  it('returns 429 for valid credentials when account is locked', async () => {
+    await addUser()
+    await lockAccount()
+    const res = await login()
+    expect(res.status).toBe(429)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.account_locked}
+    ${'pl'}  | ${pl.account_locked}
+  `('returns $message when account is locked and language is $language', async ({ language, message }) => {
+    await addUser()
+    await lockAccount()
+    const res = await login({ email, password }, { language })
+    expect(res.body.path).toBe('/api/1.0/auth')
+    expect(res.body.message).toBe(message)
+  })
+  it('locks unknown e-mail the same way as a registered one', async () => {
+    await lockAccount()
+    const res = await login()
+    expect(res.body.message).toBe(en.account_locked)
+  })
+  it('lifts the lock when it expires', async () => {
+    await addUser()
+    await lockAccount()
+    advanceTime(account.blockDuration)
+    const res = await login()
+    expect(res.status).toBe(200)
+  })
+  it('sends unlock e-mail when account gets locked', async () => {
+    await addUser()
+    await lockAccount()
+    const userInDB = await User.findOne({ where: { email } })
+    expect(lastMail).toContain(email)
+    expect(userInDB.unlockToken).toBeTruthy()
+  })
+  it('stores unlock token hashed', async () => {
+    await addUser()
+    await lockAccount()
+    const unlockToken = lastMail.match(/Unlock Token is (\w+)/)[1]
+    const userInDB = await User.findOne({ where: { email } })
+    expect(userInDB.unlockToken).not.toBe(unlockToken)
+  })
+  it('lifts the lock when unlock token from e-mail is used', async () => {
+    await addUser()
+    await lockAccount()
+    const unlockToken = lastMail.match(/Unlock Token is (\w+)/)[1]
+    const unlockResponse = await unlock(unlockToken)
+    const res = await login()
+    expect(unlockResponse.status).toBe(200)
+    expect(unlockResponse.body.message).toBe(en.account_unlock_success)
+    expect(res.status).toBe(200)
+  })
+  it('clears unlock token after it is used', async () => {
+    await addUser()
+    await lockAccount()
+    const unlockToken = lastMail.match(/Unlock Token is (\w+)/)[1]
+    await unlock(unlockToken)
+    const res = await unlock(unlockToken)
+    expect(res.status).toBe(400)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.account_unlock_failure}
+    ${'pl'}  | ${pl.account_unlock_failure}
+  `('returns $message when unlock token is invalid and language is $language', async ({ language, message }) => {
+    const res = await unlock('invalid-token', { language })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+  })
+})
+
+describe('IP Throttling', () => {
+  it('returns 429 for every account once the IP exceeds free attempts', async () => {
+    await addUser()
+    for (let i = 0; i <= ip.freeAttempts; i++) {
+      await login({ email: `unknown${i}@mail.com`, password })
+    }
+    const res = await login()
+    expect(res.status).toBe(429)
+  })
+  it('keeps IP counter after successful login', async () => {
+    await addUser()
+    for (let i = 0; i < ip.freeAttempts; i++) {
+      await login({ email: `unknown${i}@mail.com`, password })
+    }
+    await login()
+    await login({ email: 'unknown@mail.com', password })
+    const res = await login()
+    expect(res.status).toBe(429)
+  })
+})
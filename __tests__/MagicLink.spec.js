@@ -0,0 +1,246 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const totp = require('../src/shared/totp')
+const { encrypt, hash } = require('../src/shared/secret')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let lastMail
+let server
+let simulateSmtpFailure = false
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        if (simulateSmtpFailure) {
+          const err = new Error('Invalid mailbox')
+          err.responseCode = 553
+          return callback(err)
+        }
+        lastMail = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  lastMail = undefined
+  simulateSmtpFailure = false
+  await ThrottleService.clear()
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const requestMagicLink = (body = { email }, options = {}) => {
+  const agent = request(app).post('/api/1.0/auth/magic-link')
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  return agent.send(body)
+}
+
+const exchange = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/auth/magic-link/${token}`)
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  return agent.send()
+}
+
+const magicLinkToken = async () => {
+  await requestMagicLink()
+  return lastMail.match(/Sign In Token is (\w+)/)[1]
+}
+
+describe('Magic Link Request', () => {
+  it.each`
+    language | message
+    ${'en'}  | ${en.magic_link_request_success}
+    ${'pl'}  | ${pl.magic_link_request_success}
+  `('returns $message when e-mail is registered and language is $language', async ({ language, message }) => {
+    await addUser()
+    const res = await requestMagicLink({ email }, { language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns the same response when e-mail is not registered', async () => {
+    const res = await requestMagicLink()
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.magic_link_request_success)
+    expect(lastMail).toBeUndefined()
+  })
+  it('returns the same response when sending e-mail fails', async () => {
+    await addUser()
+    simulateSmtpFailure = true
+    const res = await requestMagicLink()
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.magic_link_request_success)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.email_invalid}
+    ${'pl'}  | ${pl.email_invalid}
+  `('returns 400 with $message when e-mail is invalid and language is $language', async ({ language, message }) => {
+    const res = await requestMagicLink({ email: 'not-an-email' }, { language })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.email).toBe(message)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.too_many_attempts}
+    ${'pl'}  | ${pl.too_many_attempts}
+  `('returns 429 with $message when link is requested too often for the same e-mail and language is $language', async ({ language, message }) => {
+    await addUser()
+    const { freeAttempts, baseDelay } = config.auth.emailThrottle.email
+    for (let i = 0; i <= freeAttempts; i++) {
+      await requestMagicLink()
+    }
+    const res = await requestMagicLink({ email }, { language })
+    expect(res.status).toBe(429)
+    expect(res.body.message).toBe(message)
+    expect(res.headers['retry-after']).toBe(String(baseDelay / 1000))
+  })
+  it('does not send e-mail when link is requested too often', async () => {
+    await addUser()
+    const { freeAttempts } = config.auth.emailThrottle.email
+    for (let i = 0; i <= freeAttempts; i++) {
+      await requestMagicLink()
+    }
+    lastMail = undefined
+    await requestMagicLink()
+    expect(lastMail).toBeUndefined()
+  })
+  it('returns 429 when links are requested too often from the same IP', async () => {
+    const { freeAttempts } = config.auth.emailThrottle.ip
+    for (let i = 0; i <= freeAttempts; i++) {
+      await requestMagicLink({ email: `user${i}@mail.com` })
+    }
+    const res = await requestMagicLink({ email: 'other@mail.com' })
+    expect(res.status).toBe(429)
+  })
+  it('sends sign in link to the registered e-mail', async () => {
+    await addUser()
+    await requestMagicLink()
+    expect(lastMail).toContain(email)
+    expect(lastMail).toMatch(/Sign In Token is \w+/)
+  })
+  it('stores the token hashed together with its expiry', async () => {
+    await addUser()
+    const token = await magicLinkToken()
+    const userInDB = await User.findOne({ where: { email } })
+    expect(userInDB.magicLinkToken).toBe(hash(token))
+    expect(userInDB.magicLinkExpiresAt.getTime()).toBeGreaterThan(Date.now())
+    expect(userInDB.magicLinkExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + config.auth.magicLinkLifetime)
+  })
+})
+
+describe('Magic Link Exchange', () => {
+  it('returns session token when token from e-mail is sent', async () => {
+    const user = await addUser()
+    const token = await magicLinkToken()
+    const res = await exchange(token)
+    expect(res.status).toBe(200)
+    expect(res.body.id).toBe(user.id)
+    expect(Object.keys(res.body)).toEqual(['id', 'username', 'token', 'refreshToken', 'image'])
+  })
+  it('creates a session for the user', async () => {
+    const user = await addUser()
+    const token = await magicLinkToken()
+    const res = await exchange(token)
+    const tokenInDB = await Token.findOne({ where: { token: hash(res.body.token) } })
+    expect(tokenInDB.userId).toBe(user.id)
+  })
+  it('accepts the token only once', async () => {
+    await addUser()
+    const token = await magicLinkToken()
+    await exchange(token)
+    const res = await exchange(token)
+    expect(res.status).toBe(400)
+  })
+  it('accepts only the latest requested token', async () => {
+    await addUser()
+    const first = await magicLinkToken()
+    await magicLinkToken()
+    const res = await exchange(first)
+    expect(res.status).toBe(400)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.magic_link_failure}
+    ${'pl'}  | ${pl.magic_link_failure}
+  `('returns 400 with $message when token is expired and language is $language', async ({ language, message }) => {
+    await addUser()
+    const token = await magicLinkToken()
+    await User.update({ magicLinkExpiresAt: new Date(Date.now() - 1) }, { where: { email } })
+    const res = await exchange(token, { language })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 400 when token is unknown', async () => {
+    const res = await exchange('unknown-token')
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(en.magic_link_failure)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.inactive_authentication_failure}
+    ${'pl'}  | ${pl.inactive_authentication_failure}
+  `('returns 403 with $message when account is inactive and language is $language', async ({ language, message }) => {
+    await addUser({ ...validUser, inactive: true })
+    const token = await magicLinkToken()
+    const res = await exchange(token, { language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 403 when account is deactivated', async () => {
+    await addUser({ ...validUser, deactivatedAt: new Date() })
+    const token = await magicLinkToken()
+    const res = await exchange(token)
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(en.deactivated_authentication_failure)
+  })
+  it('returns two factor challenge instead of token when two factor is enabled', async () => {
+    await addUser({ ...validUser, twoFactorEnabled: true, twoFactorSecret: encrypt(totp.generateSecret()) })
+    const token = await magicLinkToken()
+    const res = await exchange(token)
+    expect(res.status).toBe(200)
+    expect(Object.keys(res.body)).toEqual(['challenge'])
+  })
+})
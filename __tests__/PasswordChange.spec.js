@@ -0,0 +1,187 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const { hash } = require('../src/shared/secret')
+const SMTPServer = require('smtp-server').SMTPServer
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+let lastMail
+let server
+let simulateSmtpFailure = false
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        if (simulateSmtpFailure) {
+          const err = new Error('Invalid mailbox')
+          err.responseCode = 553
+          return callback(err)
+        }
+        lastMail = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  lastMail = undefined
+  simulateSmtpFailure = false
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+afterAll(async () => {
+  await server.close()
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+const newPassword = 'N3wP4ssword'
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = async (credentials = { email, password }) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials)
+  return response.body
+}
+
+const putPassword = (id, body, { token, language } = {}) => {
+  const agent = request(app).put(`/api/1.0/users/${id}/password`)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send(body)
+}
+
+const changePassword = async (body = { currentPassword: password, password: newPassword }, options = {}) => {
+  const { id } = await addUser()
+  const { token, refreshToken } = await login()
+  const res = await putPassword(id, body, { token, ...options })
+  return { id, token, refreshToken, res }
+}
+
+describe('Password Change', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await putPassword(5, { currentPassword: password, password: newPassword })
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_password_change}
+    ${'pl'}  | ${pl.unauthorized_password_change}
+  `('returns $message when password of another user is changed and language is $language', async ({ language, message }) => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const { token } = await login()
+    const res = await putPassword(other.id, { currentPassword: password, password: newPassword }, { token, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.password_change_success}
+    ${'pl'}  | ${pl.password_change_success}
+  `('returns $message when request is valid and language is $language', async ({ language, message }) => {
+    const { res } = await changePassword(undefined, { language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('allows login with the new password only', async () => {
+    await changePassword()
+    const withOld = await request(app).post('/api/1.0/auth').send({ email, password })
+    const withNew = await request(app).post('/api/1.0/auth').send({ email, password: newPassword })
+    expect(withOld.status).toBe(401)
+    expect(withNew.status).toBe(200)
+  })
+  it.each`
+    field                | value             | message
+    ${'currentPassword'} | ${null}           | ${'password_null'}
+    ${'currentPassword'} | ${'Incorrect1'}   | ${'password_incorrect'}
+    ${'password'}        | ${null}           | ${'password_null'}
+    ${'password'}        | ${'P4ssw'}        | ${'password_size'}
+    ${'password'}        | ${'alllowercase'} | ${'password_pattern'}
+    ${'password'}        | ${password}       | ${'password_unchanged'}
+  `('returns $message when $field is $value', async ({ field, value, message }) => {
+    const { res } = await changePassword({ currentPassword: password, password: newPassword, [field]: value })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.password_unchanged}
+    ${'pl'}  | ${pl.password_unchanged}
+  `('returns $message when new password matches the current one and language is $language', async ({ language, message }) => {
+    const { res } = await changePassword({ currentPassword: password, password }, { language })
+    expect(res.body.validationErrors.password).toBe(message)
+  })
+  it('returns new token and refresh token for the current session', async () => {
+    const { token, refreshToken, res } = await changePassword()
+    expect(res.body.token).toBeTruthy()
+    expect(res.body.refreshToken).toBeTruthy()
+    expect(res.body.token).not.toBe(token)
+    expect(res.body.refreshToken).not.toBe(refreshToken)
+  })
+  it('does not authenticate the previous token of the current session', async () => {
+    const { id, token } = await changePassword()
+    const res = await putPassword(id, { currentPassword: newPassword, password: 'An0therPassword' }, { token })
+    expect(res.status).toBe(401)
+  })
+  it('does not accept the previous refresh token of the current session', async () => {
+    const { refreshToken } = await changePassword()
+    const res = await request(app).post('/api/1.0/auth/refresh').send({ refreshToken })
+    expect(res.status).toBe(401)
+  })
+  it('keeps the current session and revokes all other sessions', async () => {
+    const { id } = await addUser()
+    await login()
+    await login()
+    const { token } = await login()
+    const currentSession = await Token.findOne({ where: { token: hash(token) } })
+    const res = await putPassword(id, { currentPassword: password, password: newPassword }, { token })
+    const sessions = await Token.findAll({ where: { userId: id } })
+    expect(sessions.length).toBe(1)
+    expect(sessions[0].id).toBe(currentSession.id)
+    expect(sessions[0].token).toBe(hash(res.body.token))
+  })
+  it('sends password change notice to the user', async () => {
+    await changePassword()
+    expect(lastMail).toContain(email)
+    expect(lastMail).toContain('Your password was changed')
+  })
+  it('changes the password even when sending the notice fails', async () => {
+    simulateSmtpFailure = true
+    const { res } = await changePassword()
+    const withNew = await request(app).post('/api/1.0/auth').send({ email, password: newPassword })
+    expect(res.status).toBe(200)
+    expect(withNew.status).toBe(200)
+  })
+})
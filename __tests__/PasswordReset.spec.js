@@ -8,6 +8,8 @@ const SMTPServer = require('smtp-server').SMTPServer
 const en = require('../locales/en/translation.json')
 const pl = require('../locales/pl/translation.json')
 const Token = require('../src/auth/Token')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const { hash } = require('../src/shared/secret')
 
 let lastMail
 let server
@@ -40,7 +42,9 @@ beforeAll(async () => {
 })
 
 beforeEach(async () => {
+  lastMail = undefined
   simulateSmtpFailure = false
+  await ThrottleService.clear()
   return User.destroy({ truncate: { cascade: true } })
 })
 
@@ -63,6 +67,12 @@ const addUser = async (user = { ...validUser }) => {
   return await User.create(user)
 }
 
+const testToken = 'test-token'
+
+const addUserWithResetToken = async (user = { ...validUser }) => {
+  return addUser({ ...user, passwordResetToken: hash(testToken), passwordResetTokenExpiresAt: new Date(Date.now() + 60 * 1000) })
+}
+
 const postPasswordReset = (email = 'user1@gmail.com', options = {}) => {
   const agent = request(app).post('/api/1.0/user/password')
   if (options.language) {
@@ -83,21 +93,19 @@ const putPasswordUpdate = (body = {}, options = {}) => {
 }
 
 describe('Password Reset', () => {
-  it('returns 404 when password reset request is sent for unknown e-mail', async () => {
+  it('returns 200 when password reset request is sent for unknown e-mail', async () => {
     const res = await postPasswordReset()
-    expect(res.status).toBe(404)
+    expect(res.status).toBe(200)
   })
 
   it.each`
     language | message
-    ${'en'}  | ${en.email_not_in_use}
-    ${'pl'}  | ${pl.email_not_in_use}
-  `('returns error body with $message for unknown e-mail password request and language is $language', async ({ language, message }) => {
-    const currentTime = new Date().getTime()
+    ${'en'}  | ${en.password_reset_request_success}
+    ${'pl'}  | ${pl.password_reset_request_success}
+  `('returns the same $message for unknown e-mail password request and language is $language', async ({ language, message }) => {
     const res = await postPasswordReset('user1@gmail.com', { language })
-    expect(res.body.path).toBe('/api/1.0/user/password')
-    expect(res.body.timestamp).toBeGreaterThan(currentTime)
     expect(res.body.message).toBe(message)
+    expect(lastMail).toBeUndefined()
   })
 
   it.each`
@@ -136,27 +144,61 @@ describe('Password Reset', () => {
     await addUser()
     await postPasswordReset(email)
     const userInDb = await User.findOne({ where: { email } })
-    const { passwordResetToken } = userInDb
+    const passwordResetToken = lastMail.match(/Token is (\w+)/)[1]
     expect(lastMail).toContain(email)
-    expect(lastMail).toContain(passwordResetToken)
+    expect(hash(passwordResetToken)).toBe(userInDb.passwordResetToken)
   })
-  it('returns 502 Bad Gateway when sending email fails', async () => {
+  it('stores only hash of passwordResetToken', async () => {
+    await addUser()
+    await postPasswordReset(email)
+    const userInDb = await User.findOne({ where: { email } })
+    expect(lastMail).not.toContain(userInDb.passwordResetToken)
+  })
+  it('returns the same response when sending email fails', async () => {
     simulateSmtpFailure = true
     await addUser()
     const res = await postPasswordReset(email)
 
-    expect(res.status).toBe(502)
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.password_reset_request_success)
+  })
+  it('stores expiry time of the passwordResetToken', async () => {
+    await addUser()
+    await postPasswordReset(email)
+    const userInDb = await User.findOne({ where: { email } })
+    expect(userInDb.passwordResetTokenExpiresAt.getTime()).toBeGreaterThan(Date.now())
+    expect(userInDb.passwordResetTokenExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + config.auth.passwordResetTokenLifetime)
   })
-
   it.each`
     language | message
-    ${'en'}  | ${en.email_failure}
-    ${'pl'}  | ${pl.email_failure}
-  `('returns $message after password reset request email failure when language is $language', async ({ language, message }) => {
-    simulateSmtpFailure = true
+    ${'en'}  | ${en.too_many_attempts}
+    ${'pl'}  | ${pl.too_many_attempts}
+  `('returns 429 with $message when reset is requested too often for the same e-mail and language is $language', async ({ language, message }) => {
     await addUser()
+    const { freeAttempts, baseDelay } = config.auth.emailThrottle.email
+    for (let i = 0; i <= freeAttempts; i++) {
+      await postPasswordReset(email)
+    }
     const res = await postPasswordReset(email, { language })
+    expect(res.status).toBe(429)
     expect(res.body.message).toBe(message)
+    expect(res.headers['retry-after']).toBe(String(baseDelay / 1000))
+  })
+  it('throttles unknown e-mails the same way as registered ones', async () => {
+    const { freeAttempts } = config.auth.emailThrottle.email
+    for (let i = 0; i <= freeAttempts; i++) {
+      await postPasswordReset('unknown@mail.com')
+    }
+    const res = await postPasswordReset('unknown@mail.com')
+    expect(res.status).toBe(429)
+  })
+  it('returns 429 when reset is requested too often from the same IP', async () => {
+    const { freeAttempts } = config.auth.emailThrottle.ip
+    for (let i = 0; i <= freeAttempts; i++) {
+      await postPasswordReset(`user${i}@mail.com`)
+    }
+    const res = await postPasswordReset('other@mail.com')
+    expect(res.status).toBe(429)
   })
 })
 
@@ -199,10 +241,7 @@ describe('Password Update', () => {
     expect(res.status).toBe(403)
   })
   it('returns 400 when password update request with invalid password pattern valid reset token', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    await user.save()
+    await addUserWithResetToken()
 
     const res = await putPasswordUpdate({
       password: 'abcd',
@@ -231,10 +270,7 @@ describe('Password Update', () => {
     ${'pl'}  | ${'A1'.repeat(3)} | ${pl.password_pattern}
     ${'pl'}  | ${'1a'.repeat(3)} | ${pl.password_pattern}
   `('returns password validation error $message when lang is $language and value is $value', async ({ language, message, value }) => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    await user.save()
+    await addUserWithResetToken()
 
     const res = await putPasswordUpdate(
       {
@@ -248,42 +284,28 @@ describe('Password Update', () => {
   })
 
   it('returns 200 when valid password is sent with valid reset token', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    await user.save()
+    await addUserWithResetToken()
 
     const res = await putPasswordUpdate({ password: 'P4ssword', passwordResetToken: testToken })
 
     expect(res.status).toBe(200)
   })
   it('updates password in DB when valid password is sent with valid reset token', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    await user.save()
+    const user = await addUserWithResetToken()
 
     await putPasswordUpdate({ password: 'P4ssword', passwordResetToken: testToken })
     const userInDb = await User.findOne({ where: { email } })
     expect(userInDb.password).not.toEqual(user.password)
   })
   it('clears passwordResetToken in DB when valid password is sent with valid reset token', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    await user.save()
+    await addUserWithResetToken()
 
     await putPasswordUpdate({ password: 'P4ssword', passwordResetToken: testToken })
     const userInDb = await User.findOne({ where: { email } })
     expect(userInDb.passwordResetToken).toBeFalsy()
   })
   it('activates and clears acttivationToken in DB if the account is inactive after valid password reset', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
-    user.activationToken = 'activation-token'
-    user.inactive = true
-    await user.save()
+    await addUserWithResetToken({ ...validUser, activationToken: 'activation-token', inactive: true })
 
     await putPasswordUpdate({ password: 'P4ssword', passwordResetToken: testToken })
     const userInDb = await User.findOne({ where: { email } })
@@ -291,18 +313,36 @@ describe('Password Update', () => {
     expect(userInDb.activationToken).toBeFalsy()
   })
   it('clears all tokens of user after valid password reset', async () => {
-    const testToken = 'test-token'
-    const user = await addUser()
-    user.passwordResetToken = testToken
+    const user = await addUserWithResetToken()
     await Token.create({
       toke: 'token-1',
       userId: user.id,
       lastUsedAt: Date.now(),
     })
-    await user.save()
 
     await putPasswordUpdate({ password: 'P4ssword', passwordResetToken: testToken })
     const tokens = await Token.findAll({ where: { userId: user.id } })
     expect(tokens.length).toBe(0)
   })
+  it('returns 403 when passwordResetToken is expired', async () => {
+    await addUser({ ...validUser, passwordResetToken: hash(testToken), passwordResetTokenExpiresAt: new Date(Date.now() - 1) })
+    const res = await putPasswordUpdate({ password: 'N3wP4ssword', passwordResetToken: testToken })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(en.unauthorized_password_reset)
+  })
+  it('accepts passwordResetToken only once', async () => {
+    await addUserWithResetToken()
+    await putPasswordUpdate({ password: 'N3wP4ssword', passwordResetToken: testToken })
+    const res = await putPasswordUpdate({ password: 'An0therP4ssword', passwordResetToken: testToken })
+    expect(res.status).toBe(403)
+  })
+  it('resets the password with the token sent in e-mail', async () => {
+    await addUser()
+    await postPasswordReset(email)
+    const passwordResetToken = lastMail.match(/Token is (\w+)/)[1]
+    const res = await putPasswordUpdate({ password: 'N3wP4ssword', passwordResetToken })
+    const login = await request(app).post('/api/1.0/auth').send({ email, password: 'N3wP4ssword' })
+    expect(res.status).toBe(200)
+    expect(login.status).toBe(200)
+  })
 })
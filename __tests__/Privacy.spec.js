@@ -0,0 +1,217 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Follow = require('../src/follow/Follow')
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password } = validUser
+
+const addUsers = async count => {
+  const users = []
+  for (let i = 1; i <= count; i++) {
+    const hash = await bcrypt.hash(password, 10)
+    users.push(await User.create({ ...validUser, username: `user${i}`, email: `user${i}@mail.com`, password: hash, bio: `bio of user${i}` }))
+  }
+  return users
+}
+
+const auth = async (user = { email: 'user1@mail.com' }) => {
+  const response = await request(app).post('/api/1.0/auth').send({ email: user.email, password })
+  return response.body.token
+}
+
+const sendRequest = (method, url, { token, language, body } = {}) => {
+  const agent = request(app)[method](url)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send(body)
+}
+
+const updatePrivacy = async (user, body, options = {}) => {
+  const token = await auth(user)
+  return sendRequest('patch', `/api/1.0/users/${user.id}/privacy`, { token, body, ...options })
+}
+
+describe('Privacy Settings', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const [user] = await addUsers(1)
+    const res = await sendRequest('get', `/api/1.0/users/${user.id}/privacy`)
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_privacy_access}
+    ${'pl'}  | ${pl.unauthorized_privacy_access}
+  `('returns $message when settings of another user are updated and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const res = await sendRequest('patch', `/api/1.0/users/${other.id}/privacy`, { token, language, body: { privateProfile: true } })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns default settings', async () => {
+    const [user] = await addUsers(1)
+    const res = await sendRequest('get', `/api/1.0/users/${user.id}/privacy`, { token: await auth() })
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({
+      privateProfile: false,
+      fields: { email: 'nobody', displayName: 'everyone', bio: 'everyone', location: 'everyone', website: 'everyone', pronouns: 'everyone' },
+    })
+  })
+  it('updates only the sent fields', async () => {
+    const [user] = await addUsers(1)
+    await updatePrivacy(user, { fields: { email: 'followers' } })
+    const res = await updatePrivacy(user, { privateProfile: true, fields: { bio: 'authenticated' } })
+    expect(res.status).toBe(200)
+    expect(res.body.privateProfile).toBe(true)
+    expect(res.body.fields).toEqual(expect.objectContaining({ email: 'followers', bio: 'authenticated', location: 'everyone' }))
+  })
+  it('stores only the levels that differ from the defaults', async () => {
+    const [user] = await addUsers(1)
+    await updatePrivacy(user, { fields: { email: 'authenticated', bio: 'nobody' } })
+    await updatePrivacy(user, { fields: { bio: 'everyone' } })
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    expect(JSON.parse(userInDB.privacy)).toEqual({ email: 'authenticated' })
+  })
+  it.each`
+    field               | value                       | message
+    ${'privateProfile'} | ${'maybe'}                  | ${'private_profile_invalid'}
+    ${'fields'}         | ${{ password: 'everyone' }} | ${'privacy_fields_invalid'}
+    ${'fields'}         | ${{ email: 'friends' }}     | ${'privacy_fields_invalid'}
+    ${'fields'}         | ${['email']}                | ${'privacy_fields_invalid'}
+    ${'fields'}         | ${'email'}                  | ${'privacy_fields_invalid'}
+  `('returns 400 with $message when $field is $value', async ({ field, value, message }) => {
+    const [user] = await addUsers(1)
+    const res = await updatePrivacy(user, { [field]: value })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.privacy_fields_invalid}
+    ${'pl'}  | ${pl.privacy_fields_invalid}
+  `('returns $message for unknown level when language is $language', async ({ language, message }) => {
+    const [user] = await addUsers(1)
+    const res = await updatePrivacy(user, { fields: { bio: 'friends' } }, { language })
+    expect(res.body.validationErrors.fields).toBe(message)
+  })
+})
+
+describe('Profile Shaping', () => {
+  const getUser = (id, token) => sendRequest('get', `/api/1.0/users/${id}`, { token })
+
+  it('hides e-mail from other users by default', async () => {
+    const [user, other] = await addUsers(2)
+    const anonymous = await getUser(user.id)
+    const signedIn = await getUser(user.id, await auth(other))
+    expect(anonymous.body.email).toBeUndefined()
+    expect(signedIn.body.email).toBeUndefined()
+    expect(anonymous.body.bio).toBe('bio of user1')
+  })
+  it('returns the whole profile to its owner', async () => {
+    const [user] = await addUsers(1)
+    await updatePrivacy(user, { fields: { bio: 'nobody' } })
+    const res = await getUser(user.id, await auth(user))
+    expect(res.body.email).toBe('user1@mail.com')
+    expect(res.body.bio).toBe('bio of user1')
+  })
+  it.each`
+    level              | anonymous | authenticated | follower
+    ${'everyone'}      | ${true}   | ${true}       | ${true}
+    ${'authenticated'} | ${false}  | ${true}       | ${true}
+    ${'followers'}     | ${false}  | ${false}      | ${true}
+    ${'nobody'}        | ${false}  | ${false}      | ${false}
+  `('shows a field visible to $level accordingly', async ({ level, ...visibleTo }) => {
+    const [user, other, follower] = await addUsers(3)
+    await Follow.create({ followerId: follower.id, followeeId: user.id })
+    await updatePrivacy(user, { fields: { email: level } })
+    const responses = {
+      anonymous: await getUser(user.id),
+      authenticated: await getUser(user.id, await auth(other)),
+      follower: await getUser(user.id, await auth(follower)),
+    }
+    Object.entries(visibleTo).forEach(([viewer, visible]) => {
+      expect(responses[viewer].body.email).toBe(visible ? 'user1@mail.com' : undefined)
+    })
+  })
+  it('does not show followers-only fields to a user whose follow is not approved', async () => {
+    const [user, other] = await addUsers(2)
+    await updatePrivacy(user, { fields: { email: 'followers' } })
+    const token = await auth(other)
+    await sendRequest('post', `/api/1.0/users/${user.id}/follow`, { token })
+    const res = await getUser(user.id, token)
+    expect(res.body.email).toBeUndefined()
+  })
+  it('shows followers-only fields once the follow is approved', async () => {
+    const [user, other] = await addUsers(2)
+    await updatePrivacy(user, { fields: { email: 'followers' } })
+    const token = await auth(other)
+    await sendRequest('post', `/api/1.0/users/${user.id}/follow`, { token })
+    await sendRequest('post', `/api/1.0/users/${user.id}/follow-requests/${other.id}`, { token: await auth(user) })
+    const res = await getUser(user.id, token)
+    expect(res.body.email).toBe('user1@mail.com')
+  })
+  it('shapes each user in the listing for the viewer', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await updatePrivacy(other, { fields: { email: 'followers' } })
+    await updatePrivacy(third, { fields: { email: 'followers' } })
+    const res = await sendRequest('get', '/api/1.0/users', { token: await auth(user) })
+    expect(res.body.content.map(listed => listed.email)).toEqual(['user2@mail.com', undefined])
+  })
+  it('shapes users in follower lists for the viewer', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await updatePrivacy(other, { fields: { bio: 'authenticated' } })
+    const anonymous = await sendRequest('get', `/api/1.0/users/${user.id}/followers`)
+    const signedIn = await sendRequest('get', `/api/1.0/users/${user.id}/followers`, { token: await auth(user) })
+    expect(anonymous.body.content[0].bio).toBeUndefined()
+    expect(signedIn.body.content[0].bio).toBe('bio of user2')
+  })
+})
+
+describe('Private Profile', () => {
+  it('hides the account from the listing', async () => {
+    const [user, other, third] = await addUsers(3)
+    await updatePrivacy(other, { privateProfile: true })
+    const anonymous = await sendRequest('get', '/api/1.0/users')
+    const signedIn = await sendRequest('get', '/api/1.0/users', { token: await auth(user) })
+    expect(anonymous.body.content.map(listed => listed.id)).toEqual([user.id, third.id])
+    expect(signedIn.body.content.map(listed => listed.id)).toEqual([third.id])
+  })
+  it('keeps the profile reachable by id', async () => {
+    const [user] = await addUsers(1)
+    await updatePrivacy(user, { privateProfile: true })
+    const res = await sendRequest('get', `/api/1.0/users/${user.id}`)
+    expect(res.status).toBe(200)
+  })
+  it('lists the account again once the profile is public', async () => {
+    const [user] = await addUsers(1)
+    await updatePrivacy(user, { privateProfile: true })
+    await updatePrivacy(user, { privateProfile: false })
+    const res = await sendRequest('get', '/api/1.0/users')
+    expect(res.body.content.map(listed => listed.id)).toEqual([user.id])
+  })
+})
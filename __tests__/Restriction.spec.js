@@ -0,0 +1,238 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Follow = require('../src/follow/Follow')
+const Restriction = require('../src/restriction/Restriction')
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password } = validUser
+
+const addUsers = async count => {
+  const users = []
+  for (let i = 1; i <= count; i++) {
+    const hash = await bcrypt.hash(password, 10)
+    users.push(await User.create({ ...validUser, username: `user${i}`, email: `user${i}@mail.com`, password: hash }))
+  }
+  return users
+}
+
+const auth = async (user = { email: 'user1@mail.com' }) => {
+  const response = await request(app).post('/api/1.0/auth').send({ email: user.email, password })
+  return response.body.token
+}
+
+const sendRequest = (method, url, { token, language } = {}) => {
+  const agent = request(app)[method](url)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send()
+}
+
+describe.each`
+  type       | undo
+  ${'block'} | ${'unblock'}
+  ${'mute'}  | ${'unmute'}
+`('Managing $type', ({ type, undo }) => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const [, other] = await addUsers(2)
+    const res = await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { language: 'pl' })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(pl.unauthorized_restriction)
+  })
+  it.each`
+    language | lang
+    ${'en'}  | ${en}
+    ${'pl'}  | ${pl}
+  `('returns success message when user is restricted and language is $language', async ({ language, lang }) => {
+    const [user, other] = await addUsers(2)
+    const token = await auth()
+    const res = await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { token, language })
+    const restrictions = await Restriction.findAll()
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(lang[`${type}_success`])
+    expect(restrictions.map(({ type, userId, targetId }) => ({ type, userId, targetId }))).toEqual([{ type, userId: user.id, targetId: other.id }])
+  })
+  it.each`
+    language | lang
+    ${'en'}  | ${en}
+    ${'pl'}  | ${pl}
+  `('returns 400 when user restricts themselves and language is $language', async ({ language, lang }) => {
+    const [user] = await addUsers(1)
+    const token = await auth()
+    const res = await sendRequest('post', `/api/1.0/users/${user.id}/${type}`, { token, language })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(lang[`${type}_self`])
+  })
+  it('returns 400 when user is already restricted', async () => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { token })
+    const res = await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { token })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(en[`${type}_duplicate`])
+    expect(await Restriction.count()).toBe(1)
+  })
+  it('returns 404 when restricted user does not exist', async () => {
+    await addUsers(1)
+    const token = await auth()
+    const res = await sendRequest('post', `/api/1.0/users/5/${type}`, { token })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en.user_not_found)
+  })
+  it.each`
+    language | lang
+    ${'en'}  | ${en}
+    ${'pl'}  | ${pl}
+  `('removes the restriction when language is $language', async ({ language, lang }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { token })
+    const res = await sendRequest('delete', `/api/1.0/users/${other.id}/${type}`, { token, language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(lang[`${undo}_success`])
+    expect(await Restriction.count()).toBe(0)
+  })
+  it('returns 404 when removed restriction does not exist', async () => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const res = await sendRequest('delete', `/api/1.0/users/${other.id}/${type}`, { token })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en[`${type}_not_found`])
+  })
+  it('lists restricted users of the owner', async () => {
+    const [user, other] = await addUsers(3)
+    const token = await auth()
+    await sendRequest('post', `/api/1.0/users/${other.id}/${type}`, { token })
+    const res = await sendRequest('get', `/api/1.0/users/${user.id}/${type}s`, { token })
+    expect(res.status).toBe(200)
+    expect(res.body.content.map(restricted => restricted.id)).toEqual([other.id])
+    expect(res.body.totalPages).toBe(1)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_restriction_access}
+    ${'pl'}  | ${pl.unauthorized_restriction_access}
+  `('returns 403 with $message when restricted users of another user are listed and language is $language', async ({ language, message }) => {
+    const [, other] = await addUsers(2)
+    const token = await auth()
+    const res = await sendRequest('get', `/api/1.0/users/${other.id}/${type}s`, { token, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+})
+
+describe('Block Enforcement', () => {
+  const block = async (blocker, blocked) => {
+    const token = await auth(blocker)
+    await sendRequest('post', `/api/1.0/users/${blocked.id}/block`, { token })
+  }
+
+  it('hides the blocked user from the listing of the blocker', async () => {
+    const [user, other, third] = await addUsers(3)
+    await block(user, other)
+    const res = await sendRequest('get', '/api/1.0/users', { token: await auth(user) })
+    expect(res.body.content.map(listed => listed.id)).toEqual([third.id])
+  })
+  it('hides the blocker from the listing of the blocked user', async () => {
+    const [user, other, third] = await addUsers(3)
+    await block(user, other)
+    const res = await sendRequest('get', '/api/1.0/users', { token: await auth(other) })
+    expect(res.body.content.map(listed => listed.id)).toEqual([third.id])
+  })
+  it('keeps both users in the listing for anyone else', async () => {
+    const [user, other, third] = await addUsers(3)
+    await block(user, other)
+    const res = await sendRequest('get', '/api/1.0/users', { token: await auth(third) })
+    expect(res.body.content.map(listed => listed.id)).toEqual([user.id, other.id])
+  })
+  it.each`
+    direction               | viewer | viewed
+    ${'blocker to blocked'} | ${0}   | ${1}
+    ${'blocked to blocker'} | ${1}   | ${0}
+  `('returns user_not_found for the profile from $direction', async ({ viewer, viewed }) => {
+    const users = await addUsers(2)
+    await block(users[0], users[1])
+    const res = await sendRequest('get', `/api/1.0/users/${users[viewed].id}`, { token: await auth(users[viewer]) })
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(en.user_not_found)
+  })
+  it('returns the profile again once the block is removed', async () => {
+    const [user, other] = await addUsers(2)
+    await block(user, other)
+    const token = await auth(user)
+    await sendRequest('delete', `/api/1.0/users/${other.id}/block`, { token })
+    const res = await sendRequest('get', `/api/1.0/users/${other.id}`, { token })
+    expect(res.status).toBe(200)
+  })
+  it('removes follows between the users in both directions', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await Follow.create({ followerId: other.id, followeeId: user.id })
+    await Follow.create({ followerId: third.id, followeeId: user.id })
+    await block(user, other)
+    const follows = await Follow.findAll()
+    expect(follows.length).toBe(1)
+    expect(follows[0].followerId).toBe(third.id)
+  })
+  it('does not allow the blocked user to follow the blocker', async () => {
+    const [user, other] = await addUsers(2)
+    await block(user, other)
+    const res = await sendRequest('post', `/api/1.0/users/${user.id}/follow`, { token: await auth(other) })
+    expect(res.status).toBe(404)
+    expect(await Follow.count()).toBe(0)
+  })
+  it('hides the blocked user from follower lists seen by the blocker', async () => {
+    const [user, other, third] = await addUsers(3)
+    await Follow.create({ followerId: other.id, followeeId: third.id })
+    await Follow.create({ followerId: user.id, followeeId: third.id })
+    await block(user, other)
+    const res = await sendRequest('get', `/api/1.0/users/${third.id}/followers`, { token: await auth(user) })
+    expect(res.body.content.map(follower => follower.id)).toEqual([user.id])
+  })
+  it('still lists the blocked user among the blocks of the blocker', async () => {
+    const [user, other] = await addUsers(2)
+    await block(user, other)
+    const res = await sendRequest('get', `/api/1.0/users/${user.id}/blocks`, { token: await auth(user) })
+    expect(res.body.content.map(blocked => blocked.id)).toEqual([other.id])
+  })
+})
+
+describe('Mute Enforcement', () => {
+  it('keeps the muted user visible to both users', async () => {
+    const [user, other] = await addUsers(2)
+    const token = await auth(user)
+    await sendRequest('post', `/api/1.0/users/${other.id}/mute`, { token })
+    const profile = await sendRequest('get', `/api/1.0/users/${other.id}`, { token })
+    const listing = await sendRequest('get', '/api/1.0/users', { token: await auth(other) })
+    expect(profile.status).toBe(200)
+    expect(listing.body.content.map(listed => listed.id)).toEqual([user.id])
+  })
+  it('keeps follows between the users', async () => {
+    const [user, other] = await addUsers(2)
+    await Follow.create({ followerId: user.id, followeeId: other.id })
+    await sendRequest('post', `/api/1.0/users/${other.id}/mute`, { token: await auth(user) })
+    expect(await Follow.count()).toBe(1)
+  })
+})
@@ -0,0 +1,32 @@
+const { encrypt, decrypt, hash, matches } = require('../src/shared/secret')
+
+describe('encrypt', () => {
+  it('returns value which decrypts back to the original text', () => {
+    const encrypted = encrypt('secret-text')
+    expect(encrypted).not.toContain('secret-text')
+    expect(decrypt(encrypted)).toBe('secret-text')
+  })
+  it('returns different value for every call', () => {
+    expect(encrypt('secret-text')).not.toBe(encrypt('secret-text'))
+  })
+  it('throws when encrypted value is tampered with', () => {
+    const [iv, authTag] = encrypt('secret-text').split('.')
+    const tampered = [iv, authTag, Buffer.from('other-text').toString('base64')].join('.')
+    expect(() => decrypt(tampered)).toThrow()
+  })
+})
+
+describe('matches', () => {
+  it('returns true when value matches the hash', () => {
+    expect(matches('token', hash('token'))).toBe(true)
+  })
+  it.each`
+    value        | hashedValue
+    ${'other'}   | ${hash('token')}
+    ${'token'}   | ${'token'}
+    ${undefined} | ${hash('token')}
+    ${'token'}   | ${null}
+  `('returns false for $value and $hashedValue', ({ value, hashedValue }) => {
+    expect(matches(value, hashedValue)).toBe(false)
+  })
+})
@@ -0,0 +1,182 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const { hash } = require('../src/shared/secret')
+
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const login = async (credentials = { email, password }, options = {}) => {
+  const response = await request(app).post('/api/1.0/auth').set(options).send(credentials)
+  return response.body.token
+}
+
+const getSessions = (options = {}) => {
+  const agent = request(app).get('/api/1.0/sessions')
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`)
+  }
+  return agent.send()
+}
+
+const deleteSession = (id, options = {}) => {
+  const agent = request(app).delete(`/api/1.0/sessions/${id}`)
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`)
+  }
+  return agent.send()
+}
+
+const deleteOtherSessions = (options = {}) => {
+  const agent = request(app).delete('/api/1.0/sessions')
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`)
+  }
+  return agent.send()
+}
+
+describe('Session Details', () => {
+  it('stores device, user agent, ip and creation time of the session on login', async () => {
+    await addUser()
+    const rightBeforeLogin = Date.now()
+    const token = await login({ email, password, device: 'Pixel 5' }, { 'User-Agent': 'Mobile App/1.0' })
+    const tokenInDB = await Token.findOne({ where: { token: hash(token) } })
+    expect(tokenInDB.device).toBe('Pixel 5')
+    expect(tokenInDB.userAgent).toBe('Mobile App/1.0')
+    expect(tokenInDB.ip).toBeTruthy()
+    expect(tokenInDB.createdAt.getTime()).toBeGreaterThanOrEqual(rightBeforeLogin)
+  })
+})
+
+describe('Session Listing', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await getSessions()
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_session_access}
+    ${'pl'}  | ${pl.unauthorized_session_access}
+  `('returns $message when request is sent unauthorized and language is $language', async ({ language, message }) => {
+    const res = await getSessions({ language })
+    expect(res.body.path).toBe('/api/1.0/sessions')
+    expect(res.body.message).toBe(message)
+  })
+  it('returns all sessions of the authenticated user', async () => {
+    await addUser()
+    await login()
+    const token = await login()
+    const res = await getSessions({ token })
+    expect(res.status).toBe(200)
+    expect(res.body.length).toBe(2)
+  })
+  it('does not return sessions of other users', async () => {
+    await addUser()
+    await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    await login({ email: 'user2@mail.com', password })
+    const token = await login()
+    const res = await getSessions({ token })
+    expect(res.body.length).toBe(1)
+  })
+  it('returns only id, device, userAgent, ip, createdAt, lastUsedAt and current for each session', async () => {
+    await addUser()
+    const token = await login()
+    const res = await getSessions({ token })
+    expect(Object.keys(res.body[0])).toEqual(['id', 'device', 'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'current'])
+  })
+  it('marks the session used for the request as current', async () => {
+    await addUser()
+    await login()
+    const token = await login()
+    const currentSession = await Token.findOne({ where: { token: hash(token) } })
+    const res = await getSessions({ token })
+    const current = res.body.filter(session => session.current)
+    expect(current.length).toBe(1)
+    expect(current[0].id).toBe(currentSession.id)
+  })
+})
+
+describe('Session Revocation', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await deleteSession(5)
+    expect(res.status).toBe(403)
+  })
+  it('revokes the session with given id', async () => {
+    await addUser()
+    const otherToken = await login()
+    const token = await login()
+    const otherSession = await Token.findOne({ where: { token: hash(otherToken) } })
+    const res = await deleteSession(otherSession.id, { token })
+    const sessionInDB = await Token.findOne({ where: { id: otherSession.id } })
+    expect(res.status).toBe(200)
+    expect(sessionInDB).toBeNull()
+  })
+  it('returns 404 when session belongs to another user', async () => {
+    await addUser()
+    await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const otherToken = await login({ email: 'user2@mail.com', password })
+    const token = await login()
+    const otherSession = await Token.findOne({ where: { token: hash(otherToken) } })
+    const res = await deleteSession(otherSession.id, { token })
+    const sessionInDB = await Token.findOne({ where: { id: otherSession.id } })
+    expect(res.status).toBe(404)
+    expect(sessionInDB).not.toBeNull()
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.session_not_found}
+    ${'pl'}  | ${pl.session_not_found}
+  `('returns $message when session is not found and language is $language', async ({ language, message }) => {
+    await addUser()
+    const token = await login()
+    const res = await deleteSession(9999, { token, language })
+    expect(res.body.message).toBe(message)
+  })
+  it('revokes all sessions except the current one', async () => {
+    const user = await addUser()
+    await login()
+    await login()
+    const token = await login()
+    const res = await deleteOtherSessions({ token })
+    const sessions = await Token.findAll({ where: { userId: user.id } })
+    expect(res.status).toBe(200)
+    expect(sessions.length).toBe(1)
+    expect(sessions[0].token).toBe(hash(token))
+  })
+  it('returns 403 when revoking other sessions unauthorized', async () => {
+    const res = await deleteOtherSessions()
+    expect(res.status).toBe(403)
+  })
+})
@@ -1,5 +1,7 @@
+const config = require('config')
 const sequelize = require('../src/config/db')
 const Token = require('../src/auth/Token')
+const { hash } = require('../src/shared/secret')
 const TokenService = require('../src/auth/TokenService')
 
 beforeAll(async () => {
@@ -14,11 +16,11 @@ describe('Scheduled Token Cleanup', () => {
   it('cleans expired tokens with scheduled task', async () => {
     jest.useFakeTimers()
     const token = 'test-token'
-    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000)
-    await Token.create({ token, lastUsedAt: eightDaysAgo })
+    const longerThanRefreshTokenLifetimeAgo = new Date(Date.now() - config.auth.refreshTokenLifetime - 1000)
+    await Token.create({ token: hash(token), lastUsedAt: longerThanRefreshTokenLifetimeAgo })
     TokenService.scheduleCleanup()
     jest.advanceTimersByTime(60 * 60 * 1000 + 500)
-    const tokenInDb = await Token.findOne({ where: { token } })
+    const tokenInDb = await Token.findOne({ where: { token: hash(token) } })
     expect(tokenInDb).toBeNull()
   })
 })
@@ -0,0 +1,42 @@
+const totp = require('../src/shared/totp')
+
+const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'))
+
+describe('generateCode', () => {
+  it.each`
+    time              | code
+    ${59000}          | ${'287082'}
+    ${1111111109000}  | ${'081804'}
+    ${1234567890000}  | ${'005924'}
+    ${20000000000000} | ${'353130'}
+  `('returns $code for RFC 6238 secret at $time', ({ time, code }) => {
+    expect(totp.generateCode(rfcSecret, time)).toBe(code)
+  })
+})
+
+describe('verifyCode', () => {
+  it('returns time step when code is valid', () => {
+    const secret = totp.generateSecret()
+    const step = totp.verifyCode(secret, totp.generateCode(secret))
+    expect(step).toBe(Math.floor(Date.now() / 30000))
+  })
+  it('accepts code from previous time step', () => {
+    const secret = totp.generateSecret()
+    expect(totp.verifyCode(secret, totp.generateCode(secret, Date.now() - 30000))).not.toBeNull()
+  })
+  it('returns null when code is from outside of the window', () => {
+    const secret = totp.generateSecret()
+    expect(totp.verifyCode(secret, totp.generateCode(secret, Date.now() - 90000))).toBeNull()
+  })
+  it.each([undefined, null, '', 'abcdef', 123456])('returns null when code is %p', code => {
+    const secret = totp.generateSecret()
+    expect(totp.verifyCode(secret, code)).toBeNull()
+  })
+})
+
+describe('keyUri', () => {
+  it('returns otpauth uri with secret and issuer', () => {
+    const uri = totp.keyUri({ secret: 'ABC', issuer: 'Hoaxify', account: 'user1@mail.com' })
+    expect(uri).toBe('otpauth://totp/Hoaxify%3Auser1%40mail.com?secret=ABC&issuer=Hoaxify&algorithm=SHA1&digits=6&period=30')
+  })
+})
@@ -0,0 +1,284 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const config = require('config')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const totp = require('../src/shared/totp')
+const { encrypt, hash } = require('../src/shared/secret')
+
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(async () => {
+  await ThrottleService.clear()
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+const { challengeAttempts } = config.auth.twoFactor
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const recoveryCode = 'a1b2c3d4e5'
+
+const addUserWithTwoFactor = async () => {
+  const secret = totp.generateSecret()
+  const user = await addUser({
+    ...validUser,
+    twoFactorEnabled: true,
+    twoFactorSecret: encrypt(secret),
+    twoFactorRecoveryCodes: JSON.stringify([hash(recoveryCode)]),
+  })
+  return { user, secret }
+}
+
+const nextCode = secret => totp.generateCode(secret, Date.now() + 30 * 1000)
+
+const login = (credentials = { email, password }) => {
+  return request(app).post('/api/1.0/auth').send(credentials)
+}
+
+const verifyChallenge = (body, options = {}) => {
+  const agent = request(app).post('/api/1.0/auth/2fa')
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  return agent.send(body)
+}
+
+const twoFactorRequest = (method, url, { token, language, body } = {}) => {
+  const agent = request(app)[method](url)
+  if (language) {
+    agent.set('Accept-Language', language)
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`)
+  }
+  return agent.send(body)
+}
+
+const authToken = async () => {
+  const response = await login()
+  return response.body.token
+}
+
+describe('Two Factor Enrollment', () => {
+  it('returns 403 when enrollment request is sent unauthorized', async () => {
+    const res = await twoFactorRequest('post', '/api/1.0/users/5/2fa')
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_two_factor_update}
+    ${'pl'}  | ${pl.unauthorized_two_factor_update}
+  `('returns $message when enrollment is requested for another user and language is $language', async ({ language, message }) => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await authToken()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${other.id}/2fa`, { token, language })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns secret and otpauth uri when enrollment is requested', async () => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa`, { token })
+    expect(res.status).toBe(200)
+    expect(Object.keys(res.body)).toEqual(['secret', 'uri'])
+    expect(res.body.uri).toContain(`secret=${res.body.secret}`)
+    expect(res.body.uri).toContain(encodeURIComponent(email))
+  })
+  it('stores secret encrypted and keeps two factor disabled until confirmed', async () => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa`, { token })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(userInDB.twoFactorSecret).toBeTruthy()
+    expect(userInDB.twoFactorSecret).not.toContain(res.body.secret)
+    expect(userInDB.twoFactorEnabled).toBe(false)
+  })
+  it('returns 400 when enrollment is requested while two factor is enabled', async () => {
+    const { user } = await addUserWithTwoFactor()
+    const token = (await verifyChallenge({ challenge: (await login()).body.challenge, code: recoveryCode })).body.token
+    const res = await twoFactorRequest('post', `/api/1.0/users/${user.id}/2fa`, { token })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(en.two_factor_already_enabled)
+  })
+})
+
+describe('Two Factor Confirmation', () => {
+  const enroll = async () => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa`, { token })
+    return { id, token, secret: res.body.secret }
+  }
+
+  it('enables two factor when valid code is sent', async () => {
+    const { id, token, secret } = await enroll()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa/confirm`, { token, body: { code: totp.generateCode(secret) } })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(userInDB.twoFactorEnabled).toBe(true)
+  })
+  it('returns recovery codes once two factor is enabled', async () => {
+    const { id, token, secret } = await enroll()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa/confirm`, { token, body: { code: totp.generateCode(secret) } })
+    expect(res.body.message).toBe(en.two_factor_enabled)
+    expect(res.body.recoveryCodes.length).toBe(10)
+  })
+  it('stores recovery codes hashed', async () => {
+    const { id, token, secret } = await enroll()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa/confirm`, { token, body: { code: totp.generateCode(secret) } })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(userInDB.twoFactorRecoveryCodes).not.toContain(res.body.recoveryCodes[0])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.two_factor_code_invalid}
+    ${'pl'}  | ${pl.two_factor_code_invalid}
+  `('returns 400 with $message when code is invalid and language is $language', async ({ language, message }) => {
+    const { id, token } = await enroll()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa/confirm`, { token, language, body: { code: '000000' } })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+    expect(userInDB.twoFactorEnabled).toBe(false)
+  })
+  it('returns 400 when confirmation is sent without enrollment', async () => {
+    const { id } = await addUser()
+    const token = await authToken()
+    const res = await twoFactorRequest('post', `/api/1.0/users/${id}/2fa/confirm`, { token, body: { code: '000000' } })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(en.two_factor_not_enrolled)
+  })
+})
+
+describe('Two Factor Login', () => {
+  it('returns only challenge instead of token when two factor is enabled', async () => {
+    await addUserWithTwoFactor()
+    const res = await login()
+    expect(res.status).toBe(200)
+    expect(Object.keys(res.body)).toEqual(['challenge'])
+  })
+  it('returns token when challenge and valid code are sent', async () => {
+    const { user, secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    const res = await verifyChallenge({ challenge, code: nextCode(secret) })
+    expect(res.status).toBe(200)
+    expect(res.body.id).toBe(user.id)
+    expect(Object.keys(res.body)).toEqual(['id', 'username', 'token', 'refreshToken', 'image'])
+  })
+  it('returns 401 when code is invalid', async () => {
+    await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    const res = await verifyChallenge({ challenge, code: '000000' })
+    expect(res.status).toBe(401)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.authentication_failure}
+    ${'pl'}  | ${pl.authentication_failure}
+  `('returns $message when challenge is unknown and language is $language', async ({ language, message }) => {
+    const res = await verifyChallenge({ challenge: 'unknown', code: '000000' }, { language })
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 401 when challenge is expired', async () => {
+    const { user, secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    await User.update({ twoFactorChallengeExpiresAt: new Date(Date.now() - 1) }, { where: { id: user.id } })
+    const res = await verifyChallenge({ challenge, code: nextCode(secret) })
+    expect(res.status).toBe(401)
+  })
+  it('returns 401 when challenge is used for the second time', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    await verifyChallenge({ challenge, code: nextCode(secret) })
+    const res = await verifyChallenge({ challenge, code: totp.generateCode(secret, Date.now() + 60 * 1000) })
+    expect(res.status).toBe(401)
+  })
+  it('returns 401 when the same code is used twice', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const code = nextCode(secret)
+    await verifyChallenge({ challenge: (await login()).body.challenge, code })
+    const res = await verifyChallenge({ challenge: (await login()).body.challenge, code })
+    expect(res.status).toBe(401)
+  })
+  it('accepts valid code after failed attempts below the limit', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    for (let i = 1; i < challengeAttempts; i++) {
+      await verifyChallenge({ challenge, code: '000000' })
+    }
+    const res = await verifyChallenge({ challenge, code: nextCode(secret) })
+    expect(res.status).toBe(200)
+  })
+  it('returns 401 for valid code once the challenge reached the attempt limit', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    for (let i = 0; i < challengeAttempts; i++) {
+      await verifyChallenge({ challenge, code: '000000' })
+    }
+    const res = await verifyChallenge({ challenge, code: nextCode(secret) })
+    expect(res.status).toBe(401)
+  })
+  it('counts failed attempts of concurrent requests against the limit', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    await Promise.all(Array.from({ length: challengeAttempts }, () => verifyChallenge({ challenge, code: '000000' })))
+    const res = await verifyChallenge({ challenge, code: nextCode(secret) })
+    expect(res.status).toBe(401)
+  })
+  it('gives a new challenge its own attempts', async () => {
+    const { secret } = await addUserWithTwoFactor()
+    const { challenge } = (await login()).body
+    for (let i = 0; i < challengeAttempts; i++) {
+      await verifyChallenge({ challenge, code: '000000' })
+    }
+    const res = await verifyChallenge({ challenge: (await login()).body.challenge, code: nextCode(secret) })
+    expect(res.status).toBe(200)
+  })
+  it('accepts recovery code only once', async () => {
+    await addUserWithTwoFactor()
+    const first = await verifyChallenge({ challenge: (await login()).body.challenge, code: recoveryCode })
+    const second = await verifyChallenge({ challenge: (await login()).body.challenge, code: recoveryCode })
+    expect(first.status).toBe(200)
+    expect(second.status).toBe(401)
+  })
+})
+
+describe('Two Factor Disabling', () => {
+  it('disables two factor when valid code is sent', async () => {
+    const { user, secret } = await addUserWithTwoFactor()
+    const { token } = (await verifyChallenge({ challenge: (await login()).body.challenge, code: nextCode(secret) })).body
+    const res = await twoFactorRequest('delete', `/api/1.0/users/${user.id}/2fa`, { token, body: { code: recoveryCode } })
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    expect(res.status).toBe(200)
+    expect(userInDB.twoFactorEnabled).toBe(false)
+    expect(userInDB.twoFactorSecret).toBeNull()
+  })
+  it('returns 400 when code is invalid', async () => {
+    const { user } = await addUserWithTwoFactor()
+    const { token } = (await verifyChallenge({ challenge: (await login()).body.challenge, code: recoveryCode })).body
+    const res = await twoFactorRequest('delete', `/api/1.0/users/${user.id}/2fa`, { token, body: { code: '000000' } })
+    expect(res.status).toBe(400)
+  })
+})
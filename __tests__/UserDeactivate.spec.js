@@ -0,0 +1,290 @@
+const request = require('supertest')
+const bcrypt = require('bcrypt')
+const sequelize = require('../src/config/db')
+const app = require('../src/app')
+const User = require('../src/user/User')
+const Token = require('../src/auth/Token')
+const ApiKey = require('../src/auth/ApiKey')
+const totp = require('../src/shared/totp')
+const { encrypt } = require('../src/shared/secret')
+
+const en = require('../locales/en/translation.json')
+const pl = require('../locales/pl/translation.json')
+
+beforeAll(async () => {
+  await sequelize.sync()
+})
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } })
+})
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'P4ssword',
+  inactive: false,
+}
+
+const { password, email } = validUser
+
+const addUser = async (user = { ...validUser }) => {
+  const hash = await bcrypt.hash(user.password, 10)
+  user.password = hash
+  return await User.create(user)
+}
+
+const addAdminAndUser = async () => {
+  const admin = await addUser({ ...validUser, role: 'admin' })
+  const user = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+  return { admin, user }
+}
+
+const auth = async (credentials = { email, password }) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials)
+  return response.body.token
+}
+
+const deactivateUser = (id = 5, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/deactivate`)
+  if (options.language) {
+    agent.set('Accept-Language', options.language)
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`)
+  }
+  return agent.send()
+}
+
+describe('Admin User Deactivation', () => {
+  it('returns 403 when request is sent unauthorized', async () => {
+    const res = await deactivateUser()
+    expect(res.status).toBe(403)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.unauthorized_user_deactivate}
+    ${'pl'}  | ${pl.unauthorized_user_deactivate}
+  `('returns $message when request is sent unauthorized and language is $language', async ({ language, message }) => {
+    const res = await deactivateUser(5, { language })
+    expect(res.body.path).toBe('/api/1.0/users/5/deactivate')
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 403 when request is sent by user without admin role', async () => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await auth()
+    const res = await deactivateUser(other.id, { token })
+    expect(res.status).toBe(403)
+  })
+  it('returns 200 when admin deactivates user', async () => {
+    const { user } = await addAdminAndUser()
+    const token = await auth()
+    const res = await deactivateUser(user.id, { token })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.user_deactivate_success)
+  })
+  it('stores deactivation time and the admin who deactivated the user', async () => {
+    const { admin, user } = await addAdminAndUser()
+    const token = await auth()
+    await deactivateUser(user.id, { token })
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    expect(userInDB.deactivatedAt).toBeTruthy()
+    expect(userInDB.deactivatedBy).toBe(admin.id)
+  })
+  it('clears all tokens of deactivated user', async () => {
+    const { user } = await addAdminAndUser()
+    await auth({ email: 'user2@mail.com', password })
+    const token = await auth()
+    await deactivateUser(user.id, { token })
+    const tokens = await Token.findAll({ where: { userId: user.id } })
+    expect(tokens.length).toBe(0)
+  })
+  it('returns 404 when admin deactivates user that does not exist', async () => {
+    await addUser({ ...validUser, role: 'admin' })
+    const token = await auth()
+    const res = await deactivateUser(9999, { token })
+    expect(res.status).toBe(404)
+  })
+  it('hides deactivated user from user listing and user page', async () => {
+    const { user } = await addAdminAndUser()
+    const token = await auth()
+    await deactivateUser(user.id, { token })
+    const listing = await request(app).get('/api/1.0/users')
+    const userPage = await request(app).get(`/api/1.0/users/${user.id}`)
+    expect(listing.body.content.map(u => u.id)).not.toContain(user.id)
+    expect(userPage.status).toBe(404)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.deactivated_authentication_failure}
+    ${'pl'}  | ${pl.deactivated_authentication_failure}
+  `('returns 403 with $message when deactivated user logs in and language is $language', async ({ language, message }) => {
+    const { user } = await addAdminAndUser()
+    const token = await auth()
+    await deactivateUser(user.id, { token })
+    const res = await request(app).post('/api/1.0/auth').set('Accept-Language', language).send({ email: 'user2@mail.com', password })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+})
+
+describe('Deactivation During Two Factor Sign In', () => {
+  const startSignIn = async () => {
+    const secret = totp.generateSecret()
+    const { user } = await addAdminAndUser()
+    await User.update({ twoFactorEnabled: true, twoFactorSecret: encrypt(secret) }, { where: { id: user.id } })
+    const adminToken = await auth()
+    const { body } = await request(app).post('/api/1.0/auth').send({ email: 'user2@mail.com', password })
+    return { user, secret, adminToken, challenge: body.challenge }
+  }
+
+  const verify = (challenge, secret) =>
+    request(app)
+      .post('/api/1.0/auth/2fa')
+      .send({ challenge, code: totp.generateCode(secret) })
+
+  it('rejects the open challenge of a user deactivated by an admin', async () => {
+    const { user, secret, adminToken, challenge } = await startSignIn()
+    await deactivateUser(user.id, { token: adminToken })
+    const res = await verify(challenge, secret)
+    expect(res.status).toBe(401)
+    expect(res.body.token).toBeUndefined()
+    expect(await Token.count({ where: { userId: user.id } })).toBe(0)
+  })
+  it('clears the open challenge when the user is deactivated', async () => {
+    const { user, adminToken } = await startSignIn()
+    await deactivateUser(user.id, { token: adminToken })
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    expect(userInDB.twoFactorChallenge).toBeNull()
+    expect(userInDB.twoFactorChallengeExpiresAt).toBeNull()
+  })
+  it('returns 403 when the account is deactivated between the challenge and the code', async () => {
+    const { user, secret, challenge } = await startSignIn()
+    await User.update({ deactivatedAt: new Date(), deactivatedBy: user.id + 100 }, { where: { id: user.id } })
+    const res = await verify(challenge, secret)
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(en.deactivated_authentication_failure)
+    expect(await Token.count({ where: { userId: user.id } })).toBe(0)
+  })
+})
+
+describe('Self Deactivation', () => {
+  const signIn = (body = { email, password }, language) => {
+    const agent = request(app).post('/api/1.0/auth')
+    if (language) agent.set('Accept-Language', language)
+    return agent.send(body)
+  }
+
+  const deactivateSelf = async (user = validUser) => {
+    const { id } = await addUser({ ...user })
+    const token = await auth({ email: user.email, password })
+    const res = await deactivateUser(id, { token })
+    return { id, token, res }
+  }
+
+  it('returns 200 when user deactivates their own account', async () => {
+    const { res } = await deactivateSelf()
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(en.user_deactivate_success)
+  })
+  it('stores the user as the one who deactivated the account', async () => {
+    const { id } = await deactivateSelf()
+    const userInDB = await User.findOne({ where: { id } })
+    expect(userInDB.deactivatedAt).toBeTruthy()
+    expect(userInDB.deactivatedBy).toBe(id)
+    expect(userInDB.inactive).toBe(false)
+  })
+  it('revokes all tokens and API keys of the user', async () => {
+    const { id } = await addUser()
+    await ApiKey.create({ name: 'script', key: 'hashed', scopes: '["users:read"]', userId: id })
+    const token = await auth()
+    await deactivateUser(id, { token })
+    const tokens = await Token.findAll({ where: { userId: id } })
+    const apiKeys = await ApiKey.findAll({ where: { userId: id } })
+    const res = await request(app).get('/api/1.0/users').set('Authorization', `Bearer ${token}`).send()
+    expect(tokens.length).toBe(0)
+    expect(apiKeys.length).toBe(0)
+    expect(res.status).toBe(401)
+  })
+  it('hides the profile', async () => {
+    const { id } = await deactivateSelf()
+    const userPage = await request(app).get(`/api/1.0/users/${id}`)
+    expect(userPage.status).toBe(404)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.self_deactivated_authentication_failure}
+    ${'pl'}  | ${pl.self_deactivated_authentication_failure}
+  `('returns 403 with $message when user signs in without reactivating and language is $language', async ({ language, message }) => {
+    await deactivateSelf()
+    const res = await signIn({ email, password }, language)
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('reactivates the account when user signs in with reactivate', async () => {
+    const { id } = await deactivateSelf()
+    const res = await signIn({ email, password, reactivate: true })
+    const userInDB = await User.findOne({ where: { id } })
+    const userPage = await request(app).get(`/api/1.0/users/${id}`)
+    expect(res.status).toBe(200)
+    expect(res.body.token).toBeTruthy()
+    expect(userInDB.deactivatedAt).toBeNull()
+    expect(userInDB.deactivatedBy).toBeNull()
+    expect(userPage.status).toBe(200)
+  })
+  it('does not reactivate the account when password is incorrect', async () => {
+    const { id } = await deactivateSelf()
+    const res = await signIn({ email, password: 'Incorrect1', reactivate: true })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(401)
+    expect(userInDB.deactivatedAt).toBeTruthy()
+  })
+  it('does not reactivate an account deactivated by an admin', async () => {
+    const { user } = await addAdminAndUser()
+    await deactivateUser(user.id, { token: await auth() })
+    const res = await signIn({ email: 'user2@mail.com', password, reactivate: true })
+    const userInDB = await User.findOne({ where: { id: user.id } })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(en.deactivated_authentication_failure)
+    expect(userInDB.deactivatedAt).toBeTruthy()
+  })
+  it('reactivates the account only after the two factor code is verified', async () => {
+    const secret = totp.generateSecret()
+    const { id } = await deactivateSelf()
+    await User.update({ twoFactorEnabled: true, twoFactorSecret: encrypt(secret) }, { where: { id } })
+    const { body } = await signIn({ email, password, reactivate: true })
+    const beforeCode = await User.findOne({ where: { id } })
+    const res = await request(app)
+      .post('/api/1.0/auth/2fa')
+      .send({ challenge: body.challenge, code: totp.generateCode(secret) })
+    const afterCode = await User.findOne({ where: { id } })
+    expect(beforeCode.deactivatedAt).toBeTruthy()
+    expect(res.status).toBe(200)
+    expect(afterCode.deactivatedAt).toBeNull()
+  })
+  it('does not reactivate through a challenge opened before the user deactivated the account', async () => {
+    const secret = totp.generateSecret()
+    const { id } = await addUser()
+    const token = await auth()
+    await User.update({ twoFactorEnabled: true, twoFactorSecret: encrypt(secret) }, { where: { id } })
+    const { body } = await signIn()
+    await deactivateUser(id, { token })
+    const res = await request(app)
+      .post('/api/1.0/auth/2fa')
+      .send({ challenge: body.challenge, code: totp.generateCode(secret) })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(401)
+    expect(userInDB.deactivatedAt).toBeTruthy()
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.inactive_authentication_failure}
+    ${'pl'}  | ${pl.inactive_authentication_failure}
+  `('returns 403 with $message for an account pending activation even with reactivate and language is $language', async ({ language, message }) => {
+    await addUser({ ...validUser, inactive: true })
+    const res = await signIn({ email, password, reactivate: true }, language)
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+})
@@ -1,21 +1,60 @@
 const request = require('supertest')
 const bcrypt = require('bcrypt')
+const fs = require('fs')
+const path = require('path')
+const config = require('config')
 const sequelize = require('../src/config/db')
 const app = require('../src/app')
 const User = require('../src/user/User')
+const UserService = require('../src/user/UserService')
+const SMTPServer = require('smtp-server').SMTPServer
 
 const en = require('../locales/en/translation.json')
 const pl = require('../locales/pl/translation.json')
 const Token = require('../src/auth/Token')
+const { hash, encrypt } = require('../src/shared/secret')
+const totp = require('../src/shared/totp')
+
+let lastMail
+let server
+let simulateSmtpFailure = false
 
 beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody
+
+      stream.on('data', data => {
+        mailBody += data.toString()
+      })
+      stream.on('end', () => {
+        if (simulateSmtpFailure) {
+          const err = new Error('Invalid mailbox')
+          err.responseCode = 553
+          return callback(err)
+        }
+        lastMail = mailBody
+        callback()
+      })
+    },
+  })
+
+  await server.listen(config.mail.port, 'localhost')
+
   await sequelize.sync()
 })
 
 beforeEach(() => {
+  lastMail = undefined
+  simulateSmtpFailure = false
   return User.destroy({ truncate: { cascade: true } })
 })
 
+afterAll(async () => {
+  await server.close()
+})
+
 const validUser = {
   username: 'user1',
   email: 'user1@mail.com',
@@ -84,10 +123,19 @@ describe('User Delete', () => {
     const res = await deleteUser({ id: userToBeDeleted.id, options: { token } })
     expect(res.status).toBe(403)
   })
-  it('returns 403 when token is invalid', async () => {
+  it('deletes another user when request sent from admin', async () => {
+    await addUser({ ...validUser, role: 'admin' })
+    const userToBeDeleted = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const token = await auth({ auth: { email, password } })
+    const res = await deleteUser({ id: userToBeDeleted.id, options: { token } })
+    const user = await User.findOne({ where: { id: userToBeDeleted.id } })
+    expect(res.status).toBe(200)
+    expect(user.deletionRequestedAt).not.toBeNull()
+  })
+  it('returns 401 when token is invalid', async () => {
     const res = await deleteUser({ ...defaultDelete, options: { token: '123' } })
 
-    expect(res.status).toBe(403)
+    expect(res.status).toBe(401)
   })
   it('returns 200 when valid delete request sent from authorized user', async () => {
     const { id } = await addUser()
@@ -95,18 +143,19 @@ describe('User Delete', () => {
     const res = await deleteUser({ id, options: { token } })
     expect(res.status).toBe(200)
   })
-  it('deletes user when request sent from authorized user', async () => {
+  it('marks user as pending deletion when request sent from authorized user', async () => {
     const { id } = await addUser()
     const token = await auth({ auth: { email, password } })
+    const rightBeforeDelete = Date.now()
     await deleteUser({ id, options: { token } })
     const user = await User.findOne({ where: { id } })
-    expect(user).toBeNull()
+    expect(user.deletionRequestedAt.getTime()).toBeGreaterThanOrEqual(rightBeforeDelete)
   })
   it('deletes token when delete user request sent from authorized user', async () => {
     const { id } = await addUser()
     const token = await auth({ auth: { email, password } })
     await deleteUser({ id, options: { token } })
-    const tokenInDB = await Token.findOne({ where: { token } })
+    const tokenInDB = await Token.findOne({ where: { token: hash(token) } })
     expect(tokenInDB).toBeNull()
   })
   it("deletes all user's token when delete user request sent from authorized user", async () => {
@@ -114,7 +163,181 @@ describe('User Delete', () => {
     const token1 = await auth({ auth: { email, password } })
     const token2 = await auth({ auth: { email, password } })
     await deleteUser({ id, options: { token: token1 } })
-    const tokenInDB = await Token.findOne({ where: { token: token2 } })
+    const tokenInDB = await Token.findOne({ where: { token: hash(token2) } })
     expect(tokenInDB).toBeNull()
   })
+  it('hides user pending deletion from listing and profile', async () => {
+    const { id } = await addUser()
+    const token = await auth({ auth: { email, password } })
+    await deleteUser({ id, options: { token } })
+    const listing = await request(app).get('/api/1.0/users')
+    const profile = await request(app).get(`/api/1.0/users/${id}`)
+    expect(listing.body.content.length).toBe(0)
+    expect(profile.status).toBe(404)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.deleted_authentication_failure}
+    ${'pl'}  | ${pl.deleted_authentication_failure}
+  `('returns 403 with $message on login to user pending deletion when language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    const token = await auth({ auth: { email, password } })
+    await deleteUser({ id, options: { token } })
+    const res = await request(app).post('/api/1.0/auth').set('Accept-Language', language).send({ email, password })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(message)
+  })
+  it('sends restore token to the e-mail of the user', async () => {
+    const { id } = await addUser()
+    const token = await auth({ auth: { email, password } })
+    await deleteUser({ id, options: { token } })
+    const restoreToken = lastMail.match(/Restore Token is (\w+)/)[1]
+    const user = await User.findOne({ where: { id } })
+    expect(lastMail).toContain(email)
+    expect(user.restoreToken).toBe(hash(restoreToken))
+  })
+  it('does not let an open two factor challenge finish signing in after deletion', async () => {
+    const secret = totp.generateSecret()
+    const { id } = await addUser()
+    const token = await auth({ auth: { email, password } })
+    await User.update({ twoFactorEnabled: true, twoFactorSecret: encrypt(secret) }, { where: { id } })
+    const { body } = await request(app).post('/api/1.0/auth').send({ email, password })
+    await deleteUser({ id, options: { token } })
+    const res = await request(app)
+      .post('/api/1.0/auth/2fa')
+      .send({ challenge: body.challenge, code: totp.generateCode(secret) })
+    const userInDB = await User.findOne({ where: { id } })
+    expect(res.status).toBe(401)
+    expect(userInDB.twoFactorChallenge).toBeNull()
+    expect(await Token.count({ where: { userId: id } })).toBe(0)
+  })
+  it('returns 403 when the account is deleted between the challenge and the code', async () => {
+    const secret = totp.generateSecret()
+    const { id } = await addUser({ ...validUser, twoFactorEnabled: true, twoFactorSecret: encrypt(secret) })
+    const { body } = await request(app).post('/api/1.0/auth').send({ email, password })
+    await User.update({ deletionRequestedAt: new Date() }, { where: { id } })
+    const res = await request(app)
+      .post('/api/1.0/auth/2fa')
+      .send({ challenge: body.challenge, code: totp.generateCode(secret) })
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe(en.deleted_authentication_failure)
+    expect(await Token.count({ where: { userId: id } })).toBe(0)
+  })
+  it('marks user as pending deletion even when sending e-mail fails', async () => {
+    const { id } = await addUser()
+    const token = await auth({ auth: { email, password } })
+    simulateSmtpFailure = true
+    const res = await deleteUser({ id, options: { token } })
+    const user = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(user.deletionRequestedAt).not.toBeNull()
+  })
+})
+
+describe('User Restore', () => {
+  const deleteAndGetRestoreToken = async () => {
+    const user = await addUser()
+    const token = await auth({ auth: { email, password } })
+    await deleteUser({ id: user.id, options: { token } })
+    return { id: user.id, restoreToken: lastMail.match(/Restore Token is (\w+)/)[1] }
+  }
+
+  const restore = (token, language) => {
+    const agent = request(app).post(`/api/1.0/user/restore/${token}`)
+    if (language) {
+      agent.set('Accept-Language', language)
+    }
+    return agent.send()
+  }
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.account_restore_success}
+    ${'pl'}  | ${pl.account_restore_success}
+  `('returns $message when restore token is valid and language is $language', async ({ language, message }) => {
+    const { restoreToken } = await deleteAndGetRestoreToken()
+    const res = await restore(restoreToken, language)
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('allows login after the user is restored', async () => {
+    const { id, restoreToken } = await deleteAndGetRestoreToken()
+    await restore(restoreToken)
+    const user = await User.findOne({ where: { id } })
+    const res = await request(app).post('/api/1.0/auth').send({ email, password })
+    expect(user.deletionRequestedAt).toBeNull()
+    expect(user.restoreToken).toBeNull()
+    expect(res.status).toBe(200)
+  })
+  it('accepts the restore token only once', async () => {
+    const { restoreToken } = await deleteAndGetRestoreToken()
+    await restore(restoreToken)
+    const res = await restore(restoreToken)
+    expect(res.status).toBe(400)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.account_restore_failure}
+    ${'pl'}  | ${pl.account_restore_failure}
+  `('returns 400 with $message when grace period is over and language is $language', async ({ language, message }) => {
+    const { id, restoreToken } = await deleteAndGetRestoreToken()
+    await User.update({ deletionRequestedAt: new Date(Date.now() - config.deletion.gracePeriod - 1000) }, { where: { id } })
+    const res = await restore(restoreToken, language)
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 400 when restore token is unknown', async () => {
+    const res = await restore('unknown-token')
+    expect(res.status).toBe(400)
+  })
+})
+
+describe('User Purge', () => {
+  const profileFolder = path.join('.', config.uploadDir, config.profileDir)
+
+  const addUserPendingDeletion = (deletionRequestedAt, user = {}) => {
+    return User.create({ ...validUser, deletionRequestedAt, restoreToken: hash('restore-token'), ...user })
+  }
+
+  const graceOverAt = () => new Date(Date.now() - config.deletion.gracePeriod - 1000)
+
+  it('removes users whose grace period is over', async () => {
+    const { id } = await addUserPendingDeletion(graceOverAt())
+    await UserService.purge()
+    const user = await User.findOne({ where: { id } })
+    expect(user).toBeNull()
+  })
+  it('keeps users whose grace period is not over yet', async () => {
+    const { id } = await addUserPendingDeletion(new Date())
+    await UserService.purge()
+    const user = await User.findOne({ where: { id } })
+    expect(user).not.toBeNull()
+  })
+  it('keeps users who are not pending deletion', async () => {
+    await addUser()
+    await UserService.purge()
+    const users = await User.findAll()
+    expect(users.length).toBe(1)
+  })
+  it('removes tokens of purged users', async () => {
+    const { id } = await addUserPendingDeletion(graceOverAt())
+    await Token.create({ token: hash('token'), userId: id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 1000) })
+    await UserService.purge()
+    const tokens = await Token.findAll()
+    expect(tokens.length).toBe(0)
+  })
+  it('removes profile image of purged users', async () => {
+    const image = 'purged-user-image'
+    const imagePath = path.join(profileFolder, image)
+    fs.writeFileSync(imagePath, 'image')
+    await addUserPendingDeletion(graceOverAt(), { image })
+    await UserService.purge()
+    expect(fs.existsSync(imagePath)).toBe(false)
+  })
+  it('removes users whose profile image file is already gone', async () => {
+    const { id } = await addUserPendingDeletion(graceOverAt(), { image: 'missing-image' })
+    await UserService.purge()
+    const user = await User.findOne({ where: { id } })
+    expect(user).toBeNull()
+  })
 })
@@ -71,14 +71,14 @@ describe('User listing', () => {
 
     expect(res.body.content.length).toBe(6)
   })
-  it('returns only id, username, email and image for each user', async () => {
+  it('returns only id, username, image and public profile fields for each user', async () => {
     await addUsers(11)
 
     const res = await getUsers()
 
     const user = res.body.content[0]
 
-    expect(Object.keys(user)).toEqual(['id', 'username', 'email', 'image'])
+    expect(Object.keys(user)).toEqual(['id', 'username', 'image', 'displayName', 'bio', 'location', 'website', 'pronouns'])
   })
   it('returns 2 as totalPages when there are 15 active and 7 inactive users', async () => {
     await addUsers(15, 7)
@@ -144,6 +144,233 @@ describe('User listing', () => {
   })
 })
 
+describe('User listing search, filter and sort', () => {
+  const addUser = (username, user = {}) => User.create({ username, email: `${username}@mail.com`, inactive: false, ...user })
+
+  const usernamesOf = res => res.body.content.map(user => user.username)
+
+  it.each`
+    match          | search   | usernames
+    ${undefined}   | ${'ann'} | ${['anna', 'joanna', 'Annabel']}
+    ${'substring'} | ${'ann'} | ${['anna', 'joanna', 'Annabel']}
+    ${'prefix'}    | ${'ann'} | ${['anna', 'Annabel']}
+    ${'prefix'}    | ${'jo'}  | ${['joanna']}
+  `('returns $usernames when search is $search and match is $match', async ({ match, search, usernames }) => {
+    await addUser('anna')
+    await addUser('joanna')
+    await addUser('Annabel')
+    await addUser('bob1')
+    const res = await getUsers().query({ search, match })
+    expect(usernamesOf(res)).toEqual(usernames)
+  })
+  it('matches wildcard characters in search literally', async () => {
+    await addUser('user_one')
+    await addUser('userxone')
+    await addUser('100%user')
+    const underscore = await getUsers().query({ search: 'user_' })
+    const percent = await getUsers().query({ search: '%' })
+    expect(usernamesOf(underscore)).toEqual(['user_one'])
+    expect(usernamesOf(percent)).toEqual(['100%user'])
+  })
+  it.each`
+    hasImage   | usernames
+    ${'true'}  | ${['withImage']}
+    ${'false'} | ${['noImage']}
+  `('returns $usernames when hasImage is $hasImage', async ({ hasImage, usernames }) => {
+    await addUser('withImage', { image: 'image.png' })
+    await addUser('noImage')
+    const res = await getUsers().query({ hasImage })
+    expect(usernamesOf(res)).toEqual(usernames)
+  })
+  it('filters users by creation date range', async () => {
+    await addUser('january', { createdAt: new Date('2021-01-01T10:00:00Z') })
+    await addUser('february', { createdAt: new Date('2021-02-01T10:00:00Z') })
+    await addUser('march', { createdAt: new Date('2021-03-01T10:00:00Z') })
+    const res = await getUsers().query({ createdFrom: '2021-01-15T00:00:00Z', createdTo: '2021-02-15T00:00:00Z' })
+    expect(usernamesOf(res)).toEqual(['february'])
+  })
+  it.each`
+    sort          | usernames
+    ${undefined}  | ${['carol', 'alice', 'bob1']}
+    ${'username'} | ${['alice', 'bob1', 'carol']}
+    ${'newest'}   | ${['bob1', 'alice', 'carol']}
+  `('returns $usernames when sort is $sort', async ({ sort, usernames }) => {
+    await addUser('carol', { createdAt: new Date('2021-01-01T10:00:00Z') })
+    await addUser('alice', { createdAt: new Date('2021-02-01T10:00:00Z') })
+    await addUser('bob1', { createdAt: new Date('2021-03-01T10:00:00Z') })
+    const res = await getUsers().query({ sort })
+    expect(usernamesOf(res)).toEqual(usernames)
+  })
+  it('sorts usernames without regard to case', async () => {
+    await addUser('Zed1')
+    await addUser('alice')
+    await addUser('Bob1')
+    const res = await getUsers().query({ sort: 'username' })
+    expect(usernamesOf(res)).toEqual(['alice', 'Bob1', 'Zed1'])
+  })
+  it('pages through mixed case usernames with cursor', async () => {
+    for (const username of ['Zed1', 'alice', 'Bob1', 'carol']) {
+      await addUser(username)
+    }
+    const first = await getUsers().query({ size: 2, sort: 'username' })
+    const second = await getUsers().query({ size: 2, sort: 'username', cursor: first.body.next })
+    expect(usernamesOf(first)).toEqual(['alice', 'Bob1'])
+    expect(usernamesOf(second)).toEqual(['carol', 'Zed1'])
+  })
+  it('combines search, filters and sort with pagination', async () => {
+    for (const username of ['anna3', 'anna1', 'anna2', 'joanna']) {
+      await addUser(username, { image: 'image.png' })
+    }
+    await addUser('anna4')
+    const res = await getUsers().query({ search: 'anna', match: 'prefix', hasImage: true, sort: 'username', page: 1, size: 2 })
+    expect(usernamesOf(res)).toEqual(['anna3'])
+    expect(res.body.totalPages).toBe(2)
+  })
+  it('excludes the authenticated user from search results', async () => {
+    await addUsers(3)
+    const token = await auth({ auth: { email: 'user1@mail.com', password: 'P4ssword' } })
+    const res = await getUsers({ token }).query({ search: 'user', sort: 'username' })
+    expect(usernamesOf(res)).toEqual(['user2', 'user3'])
+  })
+  it.each`
+    field            | value             | message
+    ${'search'}      | ${''}             | ${'user_search_size'}
+    ${'search'}      | ${'a'.repeat(33)} | ${'user_search_size'}
+    ${'search'}      | ${['a', 'b']}     | ${'user_search_size'}
+    ${'match'}       | ${'exact'}        | ${'user_match_invalid'}
+    ${'hasImage'}    | ${'maybe'}        | ${'user_has_image_invalid'}
+    ${'createdFrom'} | ${'yesterday'}    | ${'user_created_invalid'}
+    ${'createdTo'}   | ${'tomorrow'}     | ${'user_created_invalid'}
+    ${'sort'}        | ${'oldest'}       | ${'user_sort_invalid'}
+  `('returns 400 with $message when $field is $value', async ({ field, value, message }) => {
+    const res = await getUsers().query({ [field]: value })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.user_sort_invalid}
+    ${'pl'}  | ${pl.user_sort_invalid}
+  `('returns $message when sort is invalid and language is $language', async ({ language, message }) => {
+    const res = await getUsers().query({ sort: 'oldest' }).set('Accept-Language', language)
+    expect(res.body.validationErrors.sort).toBe(message)
+  })
+})
+
+describe('User listing with cursor', () => {
+  const usernamesOf = res => res.body.content.map(user => user.username)
+
+  const linksOf = res => {
+    const links = {}
+    res.headers.link.split(', ').forEach(link => {
+      const [, url, rel] = link.match(/^<(.*)>; rel="(\w+)"$/)
+      links[rel] = url
+    })
+    return links
+  }
+
+  it('returns next cursor in offset mode response', async () => {
+    await addUsers(11)
+    const res = await getUsers()
+    expect(res.body.next).toBeTruthy()
+    expect(res.body.prev).toBeUndefined()
+  })
+  it('returns users following the next cursor', async () => {
+    await addUsers(11)
+    const first = await getUsers().query({ size: 5 })
+    const second = await getUsers().query({ size: 5, cursor: first.body.next })
+    expect(usernamesOf(second)).toEqual(['user6', 'user7', 'user8', 'user9', 'user10'])
+    expect(second.body.size).toBe(5)
+    expect(second.body.totalPages).toBe(3)
+    expect(second.body.page).toBeUndefined()
+  })
+  it('returns users preceding the prev cursor', async () => {
+    await addUsers(11)
+    const third = await getUsers().query({ size: 5, page: 2 })
+    const second = await getUsers().query({ size: 5, cursor: third.body.prev })
+    expect(usernamesOf(second)).toEqual(['user6', 'user7', 'user8', 'user9', 'user10'])
+    expect(second.body.next).toBeTruthy()
+    expect(second.body.prev).toBeTruthy()
+  })
+  it('does not return next cursor on the last page', async () => {
+    await addUsers(11)
+    const first = await getUsers().query({ size: 10 })
+    const last = await getUsers().query({ size: 10, cursor: first.body.next })
+    expect(usernamesOf(last)).toEqual(['user11'])
+    expect(last.body.next).toBeUndefined()
+  })
+  it('does not skip or repeat users registering while paging', async () => {
+    await addUsers(10)
+    const first = await getUsers().query({ size: 5, sort: 'newest' })
+    await User.create({ username: 'latecomer', email: 'latecomer@mail.com', inactive: false })
+    const second = await getUsers().query({ size: 5, sort: 'newest', cursor: first.body.next })
+    expect(usernamesOf(first)).toEqual(['user10', 'user9', 'user8', 'user7', 'user6'])
+    expect(usernamesOf(second)).toEqual(['user5', 'user4', 'user3', 'user2', 'user1'])
+  })
+  it('pages through users sorted by username with search', async () => {
+    await addUsers(12)
+    const first = await getUsers().query({ size: 2, sort: 'username', search: 'user1' })
+    const second = await getUsers().query({ size: 2, sort: 'username', search: 'user1', cursor: first.body.next })
+    expect(usernamesOf(first)).toEqual(['user1', 'user10'])
+    expect(usernamesOf(second)).toEqual(['user11', 'user12'])
+  })
+  it.each`
+    case                 | cursor
+    ${'not base64'}      | ${'#'}
+    ${'not json'}        | ${Buffer.from('cursor').toString('base64url')}
+    ${'of other sort'}   | ${Buffer.from(JSON.stringify({ sort: 'username', direction: 'next', values: ['user1', 1] })).toString('base64url')}
+    ${'of wrong values'} | ${Buffer.from(JSON.stringify({ sort: 'id', direction: 'next', values: ['1 OR 1=1'] })).toString('base64url')}
+  `('returns 400 when cursor is $case', async ({ cursor }) => {
+    const res = await getUsers().query({ cursor })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.cursor).toBe(en.pagination_cursor_invalid)
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.pagination_cursor_invalid}
+    ${'pl'}  | ${pl.pagination_cursor_invalid}
+  `('returns $message when cursor is invalid and language is $language', async ({ language, message }) => {
+    const res = await getUsers().query({ cursor: 'invalid' }).set('Accept-Language', language)
+    expect(res.body.validationErrors.cursor).toBe(message)
+  })
+  it('returns first, next and last links in offset mode', async () => {
+    await addUsers(11)
+    const res = await getUsers().query({ size: 5, sort: 'username' })
+    expect(linksOf(res)).toEqual({
+      first: '/api/1.0/users?size=5&sort=username',
+      next: '/api/1.0/users?size=5&sort=username&page=1',
+      last: '/api/1.0/users?size=5&sort=username&page=2',
+    })
+  })
+  it('returns prev link in offset mode after the first page', async () => {
+    await addUsers(11)
+    const res = await getUsers().query({ page: 1 })
+    expect(linksOf(res).prev).toBe('/api/1.0/users?page=0')
+    expect(linksOf(res).next).toBeUndefined()
+  })
+  it('returns cursor links in cursor mode', async () => {
+    await addUsers(11)
+    const first = await getUsers().query({ size: 5 })
+    const res = await getUsers().query({ size: 5, cursor: first.body.next })
+    expect(linksOf(res)).toEqual({
+      first: '/api/1.0/users?size=5',
+      prev: `/api/1.0/users?size=5&cursor=${res.body.prev}`,
+      next: `/api/1.0/users?size=5&cursor=${res.body.next}`,
+    })
+  })
+  it('follows next links until the last user', async () => {
+    await addUsers(7)
+    const usernames = []
+    let link = '/api/1.0/users?size=3'
+    while (link) {
+      const res = await request(app).get(link)
+      usernames.push(...usernamesOf(res))
+      link = linksOf(res).next
+    }
+    expect(usernames).toEqual(['user1', 'user2', 'user3', 'user4', 'user5', 'user6', 'user7'])
+  })
+})
+
 describe('Get User', () => {
   const getUser = (id = 5) => {
     return request(app).get(`/api/1.0/users/${id}`)
@@ -180,9 +407,51 @@ describe('Get User', () => {
     const res = await getUser(user.id)
     expect(res.status).toBe(404)
   })
-  it('returns id, username, email and image in response body when an active user exists', async () => {
+  it('returns id, username, image, public profile fields and follow counts in response body when an active user exists', async () => {
     const user = await User.create({ username: 'user1', email: 'user1@mail.com', inactive: false })
     const res = await getUser(user.id)
-    expect(Object.keys(res.body)).toEqual(['id', 'username', 'email', 'image'])
+    expect(Object.keys(res.body)).toEqual([
+      'id',
+      'username',
+      'image',
+      'displayName',
+      'bio',
+      'location',
+      'website',
+      'pronouns',
+      'followersCount',
+      'followingCount',
+    ])
+  })
+})
+
+describe('Get User by Username', () => {
+  const getUserByUsername = (username, language) => {
+    const agent = request(app).get(`/api/1.0/users/by-username/${username}`)
+    if (language) agent.set('Accept-Language', language)
+    return agent.send()
+  }
+
+  it('returns the user regardless of the case of the username', async () => {
+    const user = await User.create({ username: 'User1', email: 'user1@mail.com', inactive: false })
+    const res = await getUserByUsername('uSER1')
+    expect(res.status).toBe(200)
+    expect(res.body.id).toBe(user.id)
+    expect(res.body.username).toBe('User1')
+    expect(res.body.followersCount).toBe(0)
+  })
+  it.each`
+    language | message
+    ${'pl'}  | ${pl.user_not_found}
+    ${'en'}  | ${en.user_not_found}
+  `('returns 404 with $message for unknown username when language is set to $language', async ({ message, language }) => {
+    const res = await getUserByUsername('user1', language)
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe(message)
+  })
+  it('returns 404 when the user is inactive', async () => {
+    await User.create({ username: 'user1', email: 'user1@mail.com', inactive: true })
+    const res = await getUserByUsername('user1')
+    expect(res.status).toBe(404)
   })
 })
@@ -3,9 +3,12 @@ const config = require('config')
 const sequelize = require('../src/config/db')
 const app = require('../src/app')
 const User = require('../src/user/User')
+const UserService = require('../src/user/UserService')
 const SMTPServer = require('smtp-server').SMTPServer
 const en = require('../locales/en/translation.json')
 const pl = require('../locales/pl/translation.json')
+const ThrottleService = require('../src/throttle/ThrottleService')
+const { hash } = require('../src/shared/secret')
 
 let lastMail
 let server
@@ -39,6 +42,7 @@ beforeAll(async () => {
 
 beforeEach(async () => {
   simulateSmtpFailure = false
+  await ThrottleService.clear()
   await User.destroy({ truncate: true })
 })
 
@@ -110,6 +114,7 @@ describe('User registration', () => {
     ${'username'} | ${null}            | ${en.username_null}
     ${'username'} | ${'use'}           | ${en.username_size}
     ${'username'} | ${'a'.repeat(33)}  | ${en.username_size}
+    ${'username'} | ${'Admin'}         | ${en.username_reserved}
     ${'email'}    | ${null}            | ${en.email_null}
     ${'email'}    | ${'mail.com'}      | ${en.email_invalid}
     ${'email'}    | ${'user.mail.com'} | ${en.email_invalid}
@@ -139,6 +144,18 @@ describe('User registration', () => {
     const res = await postUser()
     expect(res.body.validationErrors.email).toBe(en.email_in_use)
   })
+  it(`returns ${en.username_in_use} when same username is already in use in another case`, async () => {
+    await User.create(validUser)
+    const res = await postUser({ ...validUser, username: 'USER1', email: 'other@gmail.com' })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.username).toBe(en.username_in_use)
+  })
+  it('stores the username as sent together with its normalized form', async () => {
+    await postUser({ ...validUser, username: 'User1' })
+    const savedUser = await User.findOne({ where: { email: validUser.email } })
+    expect(savedUser.username).toBe('User1')
+    expect(savedUser.normalizedUsername).toBe('user1')
+  })
   it('returns errors for both username is null and email already in use', async () => {
     await User.create(validUser)
     const res = await postUser({ ...validUser, username: null })
@@ -166,8 +183,15 @@ describe('User registration', () => {
     await postUser()
     const users = await User.findAll()
     const savedUser = users[0]
+    const activationToken = lastMail.match(/Token is (\w+)/)[1]
     expect(lastMail).toContain('user1@gmail.com')
-    expect(lastMail).toContain(savedUser.activationToken)
+    expect(hash(activationToken)).toBe(savedUser.activationToken)
+  })
+  it('stores only hash of activationToken', async () => {
+    await postUser()
+    const users = await User.findAll()
+    const savedUser = users[0]
+    expect(lastMail).not.toContain(savedUser.activationToken)
   })
   it('returns 502 Bad Gateway when sending email fails', async () => {
     simulateSmtpFailure = true
@@ -197,6 +221,7 @@ describe('Internalization', () => {
     ${'username'} | ${null}            | ${pl.username_null}
     ${'username'} | ${'use'}           | ${pl.username_size}
     ${'username'} | ${'a'.repeat(33)}  | ${pl.username_size}
+    ${'username'} | ${'Admin'}         | ${pl.username_reserved}
     ${'email'}    | ${null}            | ${pl.email_null}
     ${'email'}    | ${'mail.com'}      | ${pl.email_invalid}
     ${'email'}    | ${'user.mail.com'} | ${pl.email_invalid}
@@ -226,6 +251,11 @@ describe('Internalization', () => {
     const res = await postUser(validUser, { language: 'pl' })
     expect(res.body.validationErrors.email).toBe(pl.email_in_use)
   })
+  it(`returns ${pl.username_in_use} when same username is already in use (when language is set to polish)`, async () => {
+    await User.create(validUser)
+    const res = await postUser({ ...validUser, email: 'other@gmail.com' }, { language: 'pl' })
+    expect(res.body.validationErrors.username).toBe(pl.username_in_use)
+  })
   it('returns errors for both username is null and email already in use (when language is set to polish)', async () => {
     await User.create(validUser)
     const res = await postUser({ ...validUser, username: null }, { language: 'pl' })
@@ -246,21 +276,67 @@ describe('Internalization', () => {
   })
 })
 
+describe('Username Availability', () => {
+  const checkAvailability = (username, language) => {
+    const agent = request(app).get(`/api/1.0/usernames/${encodeURIComponent(username)}/availability`)
+    if (language) agent.set('Accept-Language', language)
+    return agent.send()
+  }
+
+  it('returns available when username is free', async () => {
+    const res = await checkAvailability('user1')
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({ available: true })
+  })
+  it.each`
+    username          | message
+    ${'USER1'}        | ${'username_in_use'}
+    ${'root'}         | ${'username_reserved'}
+    ${'use'}          | ${'username_size'}
+    ${'a'.repeat(33)} | ${'username_size'}
+  `('returns unavailable with $message for $username', async ({ username, message }) => {
+    await User.create(validUser)
+    const res = await checkAvailability(username)
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({ available: false, message: en[message] })
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.username_in_use}
+    ${'pl'}  | ${pl.username_in_use}
+  `('returns $message when username is taken and language is $language', async ({ language, message }) => {
+    await User.create(validUser)
+    const res = await checkAvailability('user1', language)
+    expect(res.body.message).toBe(message)
+  })
+})
+
+describe('Unique Constraints', () => {
+  // saving directly skips the validators, the way a request racing another one for the same values gets past them
+  it.each`
+    field         | conflicting                                           | message
+    ${'username'} | ${{ username: 'USER1', email: 'other@mail.com' }}     | ${'username_in_use'}
+    ${'email'}    | ${{ username: 'other-user', email: validUser.email }} | ${'email_in_use'}
+  `('rejects a user whose $field is taken with $message', async ({ field, conflicting, message }) => {
+    await User.create(validUser)
+    await expect(UserService.save({ ...validUser, ...conflicting })).rejects.toMatchObject({ status: 400, errors: [{ param: field, msg: message }] })
+    expect(await User.count()).toBe(1)
+  })
+})
+
 describe('Account Aactivation', () => {
   it('acitvates user when correct token is sent', async () => {
     await postUser()
-    let users = await User.findAll()
-    const token = users[0].activationToken
+    const token = lastMail.match(/Token is (\w+)/)[1]
     await request(app).post(`/api/1.0/users/token/${token}`).send()
-    users = await User.findAll()
+    const users = await User.findAll()
     expect(users[0].inactive).toBe(false)
   })
   it('removes activationToken after user is activated', async () => {
     await postUser()
-    let users = await User.findAll()
-    const token = users[0].activationToken
+    const token = lastMail.match(/Token is (\w+)/)[1]
     await request(app).post(`/api/1.0/users/token/${token}`).send()
-    users = await User.findAll()
+    const users = await User.findAll()
     expect(users[0].activationToken).toBeFalsy()
   })
   it('doest not activate account when token is wrong', async () => {
@@ -289,14 +365,113 @@ describe('Account Aactivation', () => {
     let token = 'some-invalid-token'
 
     if (tokenStatus === 'correct') {
-      let users = await User.findAll()
-      token = users[0].activationToken
+      token = lastMail.match(/Token is (\w+)/)[1]
     }
 
     const res = await request(app).post(`/api/1.0/users/token/${token}`).set('Accept-Language', language).send()
 
     expect(res.body.message).toBe(message)
   })
+  it('stores expiry time of the activationToken', async () => {
+    await postUser()
+    const users = await User.findAll()
+    expect(users[0].activationTokenExpiresAt.getTime()).toBeGreaterThan(Date.now())
+    expect(users[0].activationTokenExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + config.auth.activationTokenLifetime)
+  })
+  it.each`
+    language | message
+    ${'pl'}  | ${pl.account_activation_expired}
+    ${'en'}  | ${en.account_activation_expired}
+  `('returns 400 with $message when token is expired and language is $language', async ({ language, message }) => {
+    await postUser()
+    const token = lastMail.match(/Token is (\w+)/)[1]
+    await User.update({ activationTokenExpiresAt: new Date(Date.now() - 1) }, { where: { email: validUser.email } })
+    const res = await request(app).post(`/api/1.0/users/token/${token}`).set('Accept-Language', language).send()
+    const users = await User.findAll()
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(message)
+    expect(users[0].inactive).toBe(true)
+  })
+})
+
+describe('Activation Resend', () => {
+  const resendActivation = (email = validUser.email, options = {}) => {
+    const agent = request(app).post('/api/1.0/users/activation')
+    if (options.language) agent.set('Accept-Language', options.language)
+    return agent.send({ email })
+  }
+
+  it.each`
+    language | message
+    ${'pl'}  | ${pl.activation_resend_success}
+    ${'en'}  | ${en.activation_resend_success}
+  `('returns $message when account is inactive and language is $language', async ({ language, message }) => {
+    await postUser()
+    const res = await resendActivation(validUser.email, { language })
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(message)
+  })
+  it('sends new activation token which activates the account', async () => {
+    await postUser()
+    const firstToken = lastMail.match(/Token is (\w+)/)[1]
+    await resendActivation()
+    const token = lastMail.match(/Token is (\w+)/)[1]
+    const res = await request(app).post(`/api/1.0/users/token/${token}`).send()
+    const users = await User.findAll()
+    expect(token).not.toBe(firstToken)
+    expect(res.status).toBe(200)
+    expect(users[0].inactive).toBe(false)
+  })
+  it('invalidates the previous activation token', async () => {
+    await postUser()
+    const firstToken = lastMail.match(/Token is (\w+)/)[1]
+    await resendActivation()
+    const res = await request(app).post(`/api/1.0/users/token/${firstToken}`).send()
+    expect(res.status).toBe(400)
+  })
+  it('renews expiry of the activation token', async () => {
+    await postUser()
+    await User.update({ activationTokenExpiresAt: new Date(Date.now() - 1) }, { where: { email: validUser.email } })
+    await resendActivation()
+    const users = await User.findAll()
+    expect(users[0].activationTokenExpiresAt.getTime()).toBeGreaterThan(Date.now())
+  })
+  it('returns the same response without sending e-mail when account is not registered or already active', async () => {
+    await postUser()
+    await request(app)
+      .post(`/api/1.0/users/token/${lastMail.match(/Token is (\w+)/)[1]}`)
+      .send()
+    lastMail = undefined
+    const active = await resendActivation()
+    const unknown = await resendActivation('unknown@mail.com')
+    expect(active.body.message).toBe(en.activation_resend_success)
+    expect(unknown.body.message).toBe(en.activation_resend_success)
+    expect(lastMail).toBeUndefined()
+  })
+  it('returns 400 when e-mail is invalid', async () => {
+    const res = await resendActivation('not-an-email')
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.email).toBe(en.email_invalid)
+  })
+  it('returns 429 with Retry-After header when activation is resent too often for the same e-mail', async () => {
+    await postUser()
+    const { freeAttempts, baseDelay } = config.auth.emailThrottle.email
+    for (let i = 0; i <= freeAttempts; i++) {
+      await resendActivation()
+    }
+    const res = await resendActivation()
+    expect(res.status).toBe(429)
+    expect(res.body.message).toBe(en.too_many_attempts)
+    expect(res.headers['retry-after']).toBe(String(baseDelay / 1000))
+  })
+  it('returns 429 when activation is resent too often from the same IP', async () => {
+    const { freeAttempts } = config.auth.emailThrottle.ip
+    for (let i = 0; i <= freeAttempts; i++) {
+      await resendActivation(`user${i}@mail.com`)
+    }
+    const res = await resendActivation('other@mail.com')
+    expect(res.status).toBe(429)
+  })
 })
 
 describe('Error Model', () => {
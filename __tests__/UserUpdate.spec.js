@@ -120,10 +120,24 @@ describe('User Update', () => {
     const user = await User.findOne({ where: { id } })
     expect(user.username).toBe(validUpdate.username)
   })
-  it('returns 403 when token is invalid', async () => {
+  it('returns 401 when token is invalid', async () => {
     const res = await updateUser({ ...defaultUpdate, options: { token: '123' } })
 
-    expect(res.status).toBe(403)
+    expect(res.status).toBe(401)
+  })
+  it('updates username of another user when request sent from admin', async () => {
+    await addUser({ ...validUser, role: 'admin' })
+    const userToBeUpdated = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const validUpdate = { username: 'user2-updated' }
+    const res = await updateUser({ id: userToBeUpdated.id, body: validUpdate, options: { auth: { email, password } } })
+    const user = await User.findOne({ where: { id: userToBeUpdated.id } })
+    expect(res.status).toBe(200)
+    expect(user.username).toBe(validUpdate.username)
+  })
+  it('returns 404 when admin updates user that does not exist', async () => {
+    await addUser({ ...validUser, role: 'admin' })
+    const res = await updateUser({ id: 9999, body: { username: 'user2-updated' }, options: { auth: { email, password } } })
+    expect(res.status).toBe(404)
   })
 
   it('saves the user image when update contains image as base64', async () => {
@@ -136,13 +150,13 @@ describe('User Update', () => {
     expect(user.image).toBeTruthy()
   })
 
-  it('returns success body having id, username, email and image', async () => {
+  it('returns success body having id, username, email, image and profile fields', async () => {
     const fileInBase64 = readFileAsBase64()
     const { id } = await addUser()
     const validUpdate = { username: 'user1-updated', image: fileInBase64 }
     const res = await updateUser({ id, body: validUpdate, options: { auth: { email, password } } })
 
-    expect(Object.keys(res.body)).toEqual(['id', 'username', 'email', 'image'])
+    expect(Object.keys(res.body)).toEqual(['id', 'username', 'email', 'image', 'displayName', 'bio', 'location', 'website', 'pronouns'])
   })
 
   it('saves the user image to upload folder and stores filename in user when update has image', async () => {
@@ -257,3 +271,137 @@ describe('User Update', () => {
     expect(res.body.validationErrors.image).toBe(message)
   })
 })
+
+describe('Profile Fields', () => {
+  const sendUpdate = async (method, id, body, { language } = {}) => {
+    const login = await request(app).post('/api/1.0/auth').send({ email, password })
+    const agent = request(app)[method](`/api/1.0/users/${id}`).set('Authorization', `Bearer ${login.body.token}`)
+    if (language) {
+      agent.set('Accept-Language', language)
+    }
+    return agent.send(body)
+  }
+
+  const profile = {
+    displayName: 'User One',
+    bio: 'Writes tests first.',
+    location: 'Warsaw',
+    website: 'https://user1.example.com',
+    pronouns: 'they/them',
+  }
+
+  it('stores profile fields sent with update', async () => {
+    const { id } = await addUser()
+    const res = await sendUpdate('put', id, { username: 'user1', ...profile })
+    expect(res.status).toBe(200)
+    expect(res.body).toMatchObject(profile)
+  })
+  it('returns profile fields of the user', async () => {
+    const { id } = await addUser({ ...validUser, ...profile })
+    const res = await request(app).get(`/api/1.0/users/${id}`)
+    expect(res.body).toMatchObject(profile)
+  })
+  it('updates only the fields sent with patch', async () => {
+    const { id } = await addUser({ ...validUser, ...profile })
+    const res = await sendUpdate('patch', id, { bio: 'Writes tests last.' })
+    const user = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(user.bio).toBe('Writes tests last.')
+    expect(user.username).toBe('user1')
+    expect(user.displayName).toBe(profile.displayName)
+    expect(user.website).toBe(profile.website)
+  })
+  it('keeps profile fields which are not sent with put', async () => {
+    const { id } = await addUser({ ...validUser, ...profile })
+    await sendUpdate('put', id, { username: 'user1-updated' })
+    const user = await User.findOne({ where: { id } })
+    expect(user.username).toBe('user1-updated')
+    expect(user.bio).toBe(profile.bio)
+  })
+  it.each`
+    value
+    ${null}
+    ${''}
+    ${'   '}
+  `('clears the field when it is sent as "$value"', async ({ value }) => {
+    const { id } = await addUser({ ...validUser, ...profile })
+    await sendUpdate('patch', id, { location: value })
+    const user = await User.findOne({ where: { id } })
+    expect(user.location).toBeNull()
+  })
+  it('stores trimmed values', async () => {
+    const { id } = await addUser()
+    await sendUpdate('patch', id, { displayName: '  User One  ' })
+    const user = await User.findOne({ where: { id } })
+    expect(user.displayName).toBe('User One')
+  })
+  it.each`
+    language | message
+    ${'en'}  | ${en.username_in_use}
+    ${'pl'}  | ${pl.username_in_use}
+  `('returns $message when username of another user is taken and language is $language', async ({ language, message }) => {
+    const { id } = await addUser()
+    await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const res = await sendUpdate('patch', id, { username: 'User2' }, { language })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.username).toBe(message)
+  })
+  it('accepts the current username in another case', async () => {
+    const { id } = await addUser()
+    const res = await sendUpdate('patch', id, { username: 'USER1' })
+    const user = await User.findOne({ where: { id } })
+    expect(res.status).toBe(200)
+    expect(user.username).toBe('USER1')
+    expect(user.normalizedUsername).toBe('user1')
+  })
+  it('keeps a reserved username the user already has', async () => {
+    const { id } = await addUser({ ...validUser, username: 'support' })
+    const res = await updateUser({ id, body: { username: 'support' }, options: { auth: { email, password } } })
+    expect(res.status).toBe(200)
+  })
+  it('returns 400 when username is too short with patch', async () => {
+    const { id } = await addUser()
+    const res = await sendUpdate('patch', id, { username: 'usr' })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors.username).toBe(en.username_size)
+  })
+  it.each`
+    field            | value                        | message
+    ${'displayName'} | ${'a'.repeat(65)}            | ${'display_name_size'}
+    ${'displayName'} | ${42}                        | ${'display_name_size'}
+    ${'bio'}         | ${'a'.repeat(501)}           | ${'bio_size'}
+    ${'location'}    | ${'a'.repeat(65)}            | ${'location_size'}
+    ${'pronouns'}    | ${'a'.repeat(33)}            | ${'pronouns_size'}
+    ${'website'}     | ${'user1.example.com'}       | ${'website_invalid'}
+    ${'website'}     | ${'ftp://user1.example.com'} | ${'website_invalid'}
+    ${'website'}     | ${'javascript:alert(1)'}     | ${'website_invalid'}
+  `('returns $message when $field is $value', async ({ field, value, message }) => {
+    const { id } = await addUser()
+    const res = await sendUpdate('patch', id, { [field]: value })
+    expect(res.status).toBe(400)
+    expect(res.body.validationErrors[field]).toBe(en[message])
+  })
+  it.each`
+    language | field            | message
+    ${'en'}  | ${'displayName'} | ${en.display_name_size}
+    ${'pl'}  | ${'displayName'} | ${pl.display_name_size}
+    ${'en'}  | ${'bio'}         | ${en.bio_size}
+    ${'pl'}  | ${'bio'}         | ${pl.bio_size}
+    ${'en'}  | ${'location'}    | ${en.location_size}
+    ${'pl'}  | ${'location'}    | ${pl.location_size}
+    ${'en'}  | ${'pronouns'}    | ${en.pronouns_size}
+    ${'pl'}  | ${'pronouns'}    | ${pl.pronouns_size}
+    ${'en'}  | ${'website'}     | ${en.website_invalid}
+    ${'pl'}  | ${'website'}     | ${pl.website_invalid}
+  `('returns $message when $field is invalid and language is $language', async ({ language, field, message }) => {
+    const { id } = await addUser()
+    const res = await sendUpdate('patch', id, { [field]: field === 'website' ? 'not-a-url' : 'a'.repeat(501) }, { language })
+    expect(res.body.validationErrors[field]).toBe(message)
+  })
+  it('returns 403 when patch is sent for another user', async () => {
+    await addUser()
+    const other = await addUser({ ...validUser, username: 'user2', email: 'user2@mail.com' })
+    const res = await sendUpdate('patch', other.id, { bio: 'Not mine.' })
+    expect(res.status).toBe(403)
+  })
+})
@@ -14,6 +14,88 @@ module.exports = {
       rejectUnauthorized: false,
     },
   },
+  auth: {
+    tokenStrategy: 'opaque',
+    jwt: {
+      algorithm: 'HS256',
+      issuer: 'hoaxify',
+      audience: 'hoaxify-api',
+      signingKey: 'test-key-1',
+      keys: {
+        'test-key-1': {
+          secret: 'test-jwt-secret',
+        },
+      },
+    },
+    accessTokenLifetime: 15 * 60 * 1000,
+    refreshTokenLifetime: 90 * 24 * 60 * 60 * 1000,
+    magicLinkLifetime: 15 * 60 * 1000,
+    emailChangeLifetime: 24 * 60 * 60 * 1000,
+    activationTokenLifetime: 24 * 60 * 60 * 1000,
+    passwordResetTokenLifetime: 60 * 60 * 1000,
+    twoFactor: {
+      issuer: 'Hoaxify',
+      challengeLifetime: 5 * 60 * 1000,
+      recoveryCodeCount: 10,
+      challengeAttempts: 5,
+    },
+    lockout: {
+      account: {
+        window: 15 * 60 * 1000,
+        freeAttempts: 3,
+        baseDelay: 1000,
+        maxAttempts: 6,
+        blockDuration: 30 * 60 * 1000,
+      },
+      ip: {
+        window: 15 * 60 * 1000,
+        freeAttempts: 20,
+        baseDelay: 1000,
+        maxAttempts: 100,
+        blockDuration: 60 * 60 * 1000,
+      },
+    },
+    emailThrottle: {
+      email: {
+        window: 60 * 60 * 1000,
+        freeAttempts: 3,
+        baseDelay: 60 * 1000,
+        maxAttempts: 5,
+        blockDuration: 60 * 60 * 1000,
+      },
+      ip: {
+        window: 60 * 60 * 1000,
+        freeAttempts: 10,
+        baseDelay: 60 * 1000,
+        maxAttempts: 30,
+        blockDuration: 60 * 60 * 1000,
+      },
+    },
+  },
+  deletion: {
+    gracePeriod: 30 * 24 * 60 * 60 * 1000,
+  },
+  dataExport: {
+    linkLifetime: 60 * 60 * 1000,
+    throttle: {
+      window: 24 * 60 * 60 * 1000,
+      freeAttempts: 2,
+      baseDelay: 10 * 60 * 1000,
+      maxAttempts: 5,
+      blockDuration: 24 * 60 * 60 * 1000,
+    },
+  },
+  audit: {
+    retention: 90 * 24 * 60 * 60 * 1000,
+  },
+  throttle: {
+    store: 'memory',
+  },
+  security: {
+    encryptionKey: 'test-encryption-key',
+    hashKey: 'test-hash-key',
+  },
   uploadDir: 'uploads-test',
   profileDir: 'profile',
+  exportDir: 'export',
 }
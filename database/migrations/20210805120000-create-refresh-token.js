@@ -0,0 +1,39 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tokens', 'expiresAt', {
+      type: Sequelize.DATE,
+    })
+    await queryInterface.createTable('refreshTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      token: {
+        type: Sequelize.STRING,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+      },
+      tokenId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'tokens',
+          key: 'id',
+        },
+        onDelete: 'cascade',
+      },
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('refreshTokens')
+    await queryInterface.removeColumn('tokens', 'expiresAt')
+  },
+}
@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tokens', 'device', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('tokens', 'userAgent', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('tokens', 'ip', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('tokens', 'createdAt', {
+      type: Sequelize.DATE,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('tokens', 'createdAt')
+    await queryInterface.removeColumn('tokens', 'ip')
+    await queryInterface.removeColumn('tokens', 'userAgent')
+    await queryInterface.removeColumn('tokens', 'device')
+  },
+}
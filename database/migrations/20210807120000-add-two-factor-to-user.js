@@ -0,0 +1,34 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'twoFactorEnabled', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    })
+    await queryInterface.addColumn('users', 'twoFactorSecret', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'twoFactorLastUsedStep', {
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.addColumn('users', 'twoFactorRecoveryCodes', {
+      type: Sequelize.TEXT,
+    })
+    await queryInterface.addColumn('users', 'twoFactorChallenge', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'twoFactorChallengeExpiresAt', {
+      type: Sequelize.DATE,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'twoFactorChallengeExpiresAt')
+    await queryInterface.removeColumn('users', 'twoFactorChallenge')
+    await queryInterface.removeColumn('users', 'twoFactorRecoveryCodes')
+    await queryInterface.removeColumn('users', 'twoFactorLastUsedStep')
+    await queryInterface.removeColumn('users', 'twoFactorSecret')
+    await queryInterface.removeColumn('users', 'twoFactorEnabled')
+  },
+}
@@ -0,0 +1,39 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('attempts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      key: {
+        type: Sequelize.STRING,
+        unique: true,
+      },
+      count: {
+        type: Sequelize.INTEGER,
+      },
+      locked: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      },
+      blockedUntil: {
+        type: Sequelize.DATE,
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addColumn('users', 'unlockToken', {
+      type: Sequelize.STRING,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'unlockToken')
+    await queryInterface.dropTable('attempts')
+  },
+}
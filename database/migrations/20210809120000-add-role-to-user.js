@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'role', {
+      type: Sequelize.STRING,
+      defaultValue: 'user',
+    })
+    await queryInterface.bulkUpdate('users', { role: 'user' }, { role: null })
+    await queryInterface.addColumn('users', 'deactivatedAt', {
+      type: Sequelize.DATE,
+    })
+    await queryInterface.addColumn('users', 'deactivatedBy', {
+      type: Sequelize.INTEGER,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'deactivatedBy')
+    await queryInterface.removeColumn('users', 'deactivatedAt')
+    await queryInterface.removeColumn('users', 'role')
+  },
+}
@@ -0,0 +1,14 @@
+'use strict'
+
+// Tokens are stored as keyed hashes from now on. Plaintext values left in the database can neither be
+// verified nor trusted, so every session is ended and pending one-time tokens are dropped. Users with a
+// pending activation can still activate their account through the password reset flow.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('refreshTokens', null, {})
+    await queryInterface.bulkDelete('tokens', null, {})
+    await queryInterface.bulkUpdate('users', { activationToken: null, passwordResetToken: null }, {})
+  },
+
+  down: async (queryInterface, Sequelize) => {},
+}
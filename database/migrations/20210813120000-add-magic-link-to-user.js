@@ -0,0 +1,17 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'magicLinkToken', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'magicLinkExpiresAt', {
+      type: Sequelize.DATE,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'magicLinkExpiresAt')
+    await queryInterface.removeColumn('users', 'magicLinkToken')
+  },
+}
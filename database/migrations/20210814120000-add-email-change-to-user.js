@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'pendingEmail', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'emailChangeToken', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'emailChangeCancelToken', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'emailChangeExpiresAt', {
+      type: Sequelize.DATE,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'emailChangeExpiresAt')
+    await queryInterface.removeColumn('users', 'emailChangeCancelToken')
+    await queryInterface.removeColumn('users', 'emailChangeToken')
+    await queryInterface.removeColumn('users', 'pendingEmail')
+  },
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'activationTokenExpiresAt', {
+      type: Sequelize.DATE,
+    })
+    // tokens sent before this migration get a full lifetime instead of expiring immediately
+    await queryInterface.bulkUpdate(
+      'users',
+      { activationTokenExpiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+      { activationToken: { [Sequelize.Op.ne]: null } }
+    )
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'activationTokenExpiresAt')
+  },
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'passwordResetTokenExpiresAt', {
+      type: Sequelize.DATE,
+    })
+    // reset tokens sent before this migration never expired, so they are dropped instead of being given a lifetime
+    await queryInterface.bulkUpdate('users', { passwordResetToken: null }, { passwordResetToken: { [Sequelize.Op.ne]: null } })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'passwordResetTokenExpiresAt')
+  },
+}
@@ -0,0 +1,40 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('auditEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      type: {
+        type: Sequelize.STRING,
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+      },
+      targetId: {
+        type: Sequelize.INTEGER,
+      },
+      ip: {
+        type: Sequelize.STRING,
+      },
+      userAgent: {
+        type: Sequelize.STRING,
+      },
+      details: {
+        type: Sequelize.TEXT,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('auditEvents', ['createdAt'])
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('auditEvents')
+  },
+}
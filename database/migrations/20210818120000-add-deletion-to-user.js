@@ -0,0 +1,17 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'deletionRequestedAt', {
+      type: Sequelize.DATE,
+    })
+    await queryInterface.addColumn('users', 'restoreToken', {
+      type: Sequelize.STRING,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'restoreToken')
+    await queryInterface.removeColumn('users', 'deletionRequestedAt')
+  },
+}
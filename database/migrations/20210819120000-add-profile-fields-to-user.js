@@ -0,0 +1,29 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'displayName', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'bio', {
+      type: Sequelize.TEXT,
+    })
+    await queryInterface.addColumn('users', 'location', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'website', {
+      type: Sequelize.STRING,
+    })
+    await queryInterface.addColumn('users', 'pronouns', {
+      type: Sequelize.STRING,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'pronouns')
+    await queryInterface.removeColumn('users', 'website')
+    await queryInterface.removeColumn('users', 'location')
+    await queryInterface.removeColumn('users', 'bio')
+    await queryInterface.removeColumn('users', 'displayName')
+  },
+}
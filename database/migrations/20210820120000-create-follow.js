@@ -0,0 +1,40 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('follows', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      followerId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'cascade',
+      },
+      followeeId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'cascade',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('follows', ['followerId', 'followeeId'], { unique: true })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('follows')
+  },
+}
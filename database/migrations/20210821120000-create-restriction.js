@@ -0,0 +1,44 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('restrictions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'cascade',
+      },
+      targetId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'cascade',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('restrictions', ['userId', 'targetId', 'type'], { unique: true })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('restrictions')
+  },
+}
@@ -0,0 +1,40 @@
+'use strict'
+
+const maxLength = 32
+
+const normalize = username => (typeof username === 'string' ? username.normalize('NFKC').trim().toLowerCase() : null)
+
+// Usernames become unique regardless of case. Where existing accounts collide the oldest one keeps the
+// name and every later one gets its id appended, its owner can pick another name through the profile update.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'normalizedUsername', {
+      type: Sequelize.STRING,
+    })
+
+    const [users] = await queryInterface.sequelize.query('SELECT id, username FROM users ORDER BY id')
+    const taken = new Set(users.map(user => normalize(user.username)))
+    const kept = new Set()
+    for (const { id, username } of users) {
+      let renamed = username
+      let normalized = normalize(username)
+      if (normalized !== null && kept.has(normalized)) {
+        for (let attempt = 0; taken.has(normalized); attempt++) {
+          const suffix = attempt === 0 ? `_${id}` : `_${id}_${attempt}`
+          renamed = username.slice(0, maxLength - suffix.length) + suffix
+          normalized = normalize(renamed)
+        }
+        taken.add(normalized)
+      }
+      kept.add(normalized)
+      await queryInterface.bulkUpdate('users', { username: renamed, normalizedUsername: normalized }, { id })
+    }
+
+    await queryInterface.addIndex('users', ['normalizedUsername'], { unique: true })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('users', ['normalizedUsername'])
+    await queryInterface.removeColumn('users', 'normalizedUsername')
+  },
+}
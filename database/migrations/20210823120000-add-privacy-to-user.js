@@ -0,0 +1,18 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'privacy', {
+      type: Sequelize.TEXT,
+    })
+    await queryInterface.addColumn('users', 'privateProfile', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'privateProfile')
+    await queryInterface.removeColumn('users', 'privacy')
+  },
+}
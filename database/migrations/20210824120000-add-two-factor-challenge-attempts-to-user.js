@@ -0,0 +1,14 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'twoFactorChallengeAttempts', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'twoFactorChallengeAttempts')
+  },
+}
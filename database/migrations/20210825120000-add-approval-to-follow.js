@@ -0,0 +1,22 @@
+'use strict'
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('follows', 'approved', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    })
+    // follows of profiles that now need approval were never approved by their owner, so they wait for it like new ones
+    await queryInterface.sequelize.query(
+      `UPDATE follows SET approved = 0 WHERE followeeId IN (SELECT id FROM users WHERE privateProfile = 1 OR privacy LIKE '%"followers"%')`
+    )
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // sqlite rebuilds the table to drop a column and would carry the unique pair over as two single column indexes
+    await queryInterface.removeIndex('follows', ['followerId', 'followeeId'])
+    await queryInterface.removeColumn('follows', 'approved')
+    await queryInterface.addIndex('follows', ['followerId', 'followeeId'], { unique: true })
+  },
+}
@@ -1,11 +1,19 @@
 const app = require('./src/app')
 const sequelize = require('./src/config/db')
 const TokenService = require('./src/auth/TokenService')
+const ThrottleService = require('./src/throttle/ThrottleService')
+const AuditService = require('./src/audit/AuditService')
+const UserService = require('./src/user/UserService')
+const DataExportService = require('./src/export/DataExportService')
 
 // sequelize.sync({ force: true }).then(async () => {
 sequelize.sync()
 
 TokenService.scheduleCleanup()
+ThrottleService.scheduleCleanup()
+AuditService.scheduleCleanup()
+UserService.scheduleCleanup()
+DataExportService.scheduleCleanup()
 
 app.listen(3000, () => {
   console.log('App listening on PORT 3000...')
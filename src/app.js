@@ -7,8 +7,14 @@ const path = require('path')
 const config = require('config')
 const userRouter = require('./user/UserRouter')
 const authRouter = require('./auth/AuthRouter')
+const sessionRouter = require('./auth/SessionRouter')
+const twoFactorRouter = require('./auth/TwoFactorRouter')
+const apiKeyRouter = require('./auth/ApiKeyRouter')
+const auditRouter = require('./audit/AuditRouter')
+const dataExportRouter = require('./export/DataExportRouter')
+const followRouter = require('./follow/FollowRouter')
+const restrictionRouter = require('./restriction/RestrictionRouter')
 const errorHandler = require('./error/ErrorHandler')
-const tokenAuthentication = require('./middleware/tokenAuthentication')
 const FileService = require('./file/FileService')
 
 const { uploadDir, profileDir } = config
@@ -41,9 +47,15 @@ app.use(express.json({ limit: '3mb' }))
 
 app.use('/images', express.static(profileDirectory, { maxAge: ONE_YEAR_IN_MILISECONDS }))
 
-app.use(tokenAuthentication)
 app.use(userRouter)
 app.use(authRouter)
+app.use(sessionRouter)
+app.use(twoFactorRouter)
+app.use(apiKeyRouter)
+app.use(auditRouter)
+app.use(dataExportRouter)
+app.use(followRouter)
+app.use(restrictionRouter)
 
 app.use(errorHandler)
 
@@ -0,0 +1,40 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class AuditEvent extends Model {}
+
+AuditEvent.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+    },
+    actorId: {
+      type: Sequelize.INTEGER,
+    },
+    targetId: {
+      type: Sequelize.INTEGER,
+    },
+    ip: {
+      type: Sequelize.STRING,
+    },
+    userAgent: {
+      type: Sequelize.STRING,
+    },
+    details: {
+      type: Sequelize.TEXT,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'auditEvent',
+    timestamps: false,
+  }
+)
+
+module.exports = AuditEvent
@@ -0,0 +1,34 @@
+const express = require('express')
+const { query, validationResult } = require('express-validator')
+const AuditService = require('./AuditService')
+const { authentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+const pagination = require('../middleware/pagination')
+const pageLinks = require('../shared/pageLinks')
+const ValidationException = require('../error/ValidationException')
+
+const router = express.Router()
+
+router.get(
+  '/api/1.0/audit-events',
+  authentication('bearer', 'basic'),
+  authorize({ permission: 'audit:read', message: 'unauthorized_audit_access', allowOwner: false }),
+  pagination,
+  query('userId').optional().isInt({ min: 1 }).withMessage('audit_user_invalid'),
+  query('from').optional().isISO8601().withMessage('audit_time_invalid'),
+  query('to').optional().isISO8601().withMessage('audit_time_invalid'),
+  async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()))
+    }
+
+    const { page, size } = req.pagination
+    const { userId, type, from, to } = req.query
+    const events = await AuditService.getEvents(page, size, { userId, type, from, to })
+    res.links(pageLinks(req, events))
+    res.send(events)
+  }
+)
+
+module.exports = router
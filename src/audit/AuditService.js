@@ -0,0 +1,84 @@
+const config = require('config')
+const Sequelize = require('sequelize')
+const AuditEvent = require('./AuditEvent')
+
+const { retention } = config.get('audit')
+
+const contextOf = req => ({
+  actorId: req.authenticatedUser ? req.authenticatedUser.id : null,
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+})
+
+// Events keep plain user ids instead of foreign keys, so the history of a deleted account stays intact.
+const record = async (type, { actorId = null, targetId = null, ip, userAgent, details } = {}) => {
+  await AuditEvent.create({
+    type,
+    actorId,
+    targetId,
+    ip,
+    userAgent,
+    details: details ? JSON.stringify(details) : null,
+    createdAt: new Date(),
+  })
+}
+
+const toEventDetails = event => ({
+  id: event.id,
+  type: event.type,
+  actorId: event.actorId,
+  targetId: event.targetId,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  details: event.details ? JSON.parse(event.details) : null,
+  createdAt: event.createdAt,
+})
+
+const getEvents = async (page, size, { userId, type, from, to } = {}) => {
+  const where = {}
+  if (userId) where[Sequelize.Op.or] = [{ actorId: userId }, { targetId: userId }]
+  if (type) where.type = type
+  if (from || to) {
+    where.createdAt = {}
+    if (from) where.createdAt[Sequelize.Op.gte] = new Date(from)
+    if (to) where.createdAt[Sequelize.Op.lte] = new Date(to)
+  }
+
+  const eventsWithCount = await AuditEvent.findAndCountAll({
+    where,
+    limit: size,
+    offset: page * size,
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+  })
+
+  return {
+    content: eventsWithCount.rows.map(toEventDetails),
+    page,
+    size,
+    totalPages: Math.ceil(eventsWithCount.count / size),
+  }
+}
+
+const getUserEvents = async userId => {
+  const events = await AuditEvent.findAll({
+    where: { [Sequelize.Op.or]: [{ actorId: userId }, { targetId: userId }] },
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+  })
+  return events.map(toEventDetails)
+}
+
+const prune = async () => {
+  await AuditEvent.destroy({ where: { createdAt: { [Sequelize.Op.lt]: new Date(Date.now() - retention) } } })
+}
+
+const scheduleCleanup = () => {
+  setInterval(prune, 60 * 60 * 1000)
+}
+
+module.exports = { contextOf, record, getEvents, getUserEvents, prune, scheduleCleanup }
@@ -0,0 +1,37 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class ApiKey extends Model {}
+
+ApiKey.init(
+  {
+    name: {
+      type: Sequelize.STRING,
+    },
+    key: {
+      type: Sequelize.STRING,
+    },
+    scopes: {
+      type: Sequelize.TEXT,
+    },
+    lastUsedAt: {
+      type: Sequelize.DATE,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'apiKey',
+    timestamps: false,
+  }
+)
+
+module.exports = ApiKey
@@ -0,0 +1,73 @@
+const express = require('express')
+const { check, validationResult } = require('express-validator')
+const ApiKeyService = require('./ApiKeyService')
+const AuditService = require('../audit/AuditService')
+const { authentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+const ValidationException = require('../error/ValidationException')
+const { scopes } = require('./permissions')
+
+const router = express.Router()
+
+const authenticate = authentication('bearer', 'basic')
+const requireAccountOwner = authorize({ message: 'unauthorized_api_key_access' })
+
+const checkName = check('name')
+  .notEmpty()
+  .withMessage('api_key_name_null')
+  .bail()
+  .isString()
+  .withMessage('api_key_name_invalid')
+  .bail()
+  .isLength({ max: 64 })
+  .withMessage('api_key_name_size')
+
+const checkScopes = check('scopes')
+  .isArray({ min: 1 })
+  .withMessage('api_key_scopes_null')
+  .bail()
+  .custom(requestedScopes => requestedScopes.every(scope => scopes.includes(scope)))
+  .withMessage('api_key_scope_invalid')
+
+const checkExpiresAt = check('expiresAt')
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('api_key_expiry_invalid')
+  .bail()
+  .custom(expiresAt => new Date(expiresAt) > new Date())
+  .withMessage('api_key_expiry_invalid')
+
+router.post('/api/1.0/users/:id/api-keys', authenticate, requireAccountOwner, checkName, checkScopes, checkExpiresAt, async (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()))
+  }
+
+  const { name, scopes, expiresAt } = req.body
+  try {
+    const apiKey = await ApiKeyService.createKey(req.authenticatedUser.id, { name, scopes, expiresAt }, AuditService.contextOf(req))
+    res.send(apiKey)
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.get('/api/1.0/users/:id/api-keys', authenticate, requireAccountOwner, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKeyService.getKeys(req.authenticatedUser.id)
+    res.send(apiKeys)
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.delete('/api/1.0/users/:id/api-keys/:keyId', authenticate, requireAccountOwner, async (req, res, next) => {
+  try {
+    await ApiKeyService.deleteKey(req.authenticatedUser.id, req.params.keyId, AuditService.contextOf(req))
+    res.send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
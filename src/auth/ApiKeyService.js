@@ -0,0 +1,67 @@
+const Sequelize = require('sequelize')
+const ApiKey = require('./ApiKey')
+const User = require('../user/User')
+const AuthException = require('./AuthException')
+const NotFoundException = require('../error/NotFoundException')
+const AuditService = require('../audit/AuditService')
+const { randomString } = require('../shared/generator')
+const { hash, matches } = require('../shared/secret')
+
+// The prefix tells API keys apart from session tokens in the Authorization header.
+const prefix = 'hoax_'
+
+const isApiKey = token => token.startsWith(prefix)
+
+const toApiKeyDetails = apiKey => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  scopes: JSON.parse(apiKey.scopes),
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt,
+})
+
+const createKey = async (userId, { name, scopes, expiresAt }, context) => {
+  const key = prefix + randomString(40)
+  const apiKey = await ApiKey.create({
+    name,
+    key: hash(key),
+    scopes: JSON.stringify([...new Set(scopes)]),
+    lastUsedAt: null,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    userId,
+  })
+  await AuditService.record('api_key_created', { ...context, targetId: userId, details: { apiKeyId: apiKey.id, name } })
+  return { ...toApiKeyDetails(apiKey), key }
+}
+
+const getKeys = async userId => {
+  const apiKeys = await ApiKey.findAll({ where: { userId }, order: [['createdAt', 'DESC']] })
+  return apiKeys.map(toApiKeyDetails)
+}
+
+const deleteKey = async (userId, id, context) => {
+  const count = await ApiKey.destroy({ where: { id, userId } })
+  if (count === 0) throw new NotFoundException('api_key_not_found')
+  await AuditService.record('api_key_revoked', { ...context, targetId: userId, details: { apiKeyId: Number(id) } })
+}
+
+const clearKeys = async userId => {
+  await ApiKey.destroy({ where: { userId } })
+}
+
+const verify = async key => {
+  const apiKey = await ApiKey.findOne({
+    where: {
+      key: hash(key),
+      expiresAt: { [Sequelize.Op.or]: { [Sequelize.Op.eq]: null, [Sequelize.Op.gt]: new Date() } },
+    },
+  })
+  if (!apiKey || !matches(key, apiKey.key)) throw new AuthException()
+  apiKey.lastUsedAt = new Date()
+  await apiKey.save()
+  const user = await User.findOne({ where: { id: apiKey.userId }, attributes: ['role'] })
+  return { id: apiKey.userId, apiKeyId: apiKey.id, role: user.role, scopes: JSON.parse(apiKey.scopes) }
+}
+
+module.exports = { isApiKey, createKey, getKeys, deleteKey, clearKeys, verify }
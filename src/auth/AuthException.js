@@ -1,4 +1,5 @@
-module.exports = function AuthException() {
+module.exports = function AuthException(message = 'authentication_failure', challenge) {
   this.status = 401
-  this.message = 'authentication_failure'
+  this.message = message
+  this.challenge = challenge
 }
@@ -4,39 +4,165 @@ const UserService = require('../user/UserService')
 const AuthException = require('./AuthException')
 const ForbiddenException = require('../error/ForbiddenException')
 const TokenService = require('../auth/TokenService')
+const TwoFactorService = require('./TwoFactorService')
+const LockoutService = require('./LockoutService')
+const MagicLinkService = require('./MagicLinkService')
+const AuditService = require('../audit/AuditService')
+const { authentication } = require('../middleware/authentication')
+const ValidationException = require('../error/ValidationException')
+const InvalidTokenException = require('../user/InvalidTokenEexception')
 const { check, validationResult } = require('express-validator')
 
 const router = express.Router()
 
 const checkEmail = check('email').isEmail()
 
+const authenticate = async (req, user) => {
+  const { token, refreshToken } = await TokenService.createToken(user, { device: req.body.device, userAgent: req.get('User-Agent'), ip: req.ip })
+  return { id: user.id, username: user.username, token, refreshToken, image: user.image }
+}
+
+const recordFailure = (req, reason, user) => {
+  const details = { reason, email: req.body.email }
+  return AuditService.record('login_failure', { ...AuditService.contextOf(req), targetId: user ? user.id : null, details })
+}
+
+// the account state is checked again once the second factor is verified, it may have changed in between
+const checkAccount = async (req, user, reactivate) => {
+  if (user.inactive) {
+    await recordFailure(req, 'inactive', user)
+    throw new ForbiddenException('inactive_authentication_failure')
+  }
+
+  if (user.deactivatedAt && !UserService.isSelfDeactivated(user)) {
+    await recordFailure(req, 'deactivated', user)
+    throw new ForbiddenException('deactivated_authentication_failure')
+  }
+
+  if (user.deactivatedAt && !reactivate) {
+    await recordFailure(req, 'self_deactivated', user)
+    throw new ForbiddenException('self_deactivated_authentication_failure')
+  }
+
+  if (user.deletionRequestedAt) {
+    await recordFailure(req, 'deleted', user)
+    throw new ForbiddenException('deleted_authentication_failure')
+  }
+}
+
+// users who deactivated their own account get it back by signing in with `reactivate`, with two factor
+// enabled that happens once the code is verified
+const signIn = async (req, user) => {
+  await checkAccount(req, user, req.body.reactivate === true)
+
+  if (user.twoFactorEnabled) {
+    const challenge = await TwoFactorService.createChallenge(user)
+    return { challenge }
+  }
+
+  if (user.deactivatedAt) await UserService.reactivateUser(user, AuditService.contextOf(req))
+
+  return authenticate(req, user)
+}
+
 router.post('/api/1.0/auth', checkEmail, async (req, res, next) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) return next(new AuthException())
 
   const { email, password } = req.body
 
-  const user = await UserService.findByEmail(email)
-  if (!user) return next(new AuthException())
+  try {
+    await LockoutService.check(email, req.ip)
 
-  const match = await bcrypt.compare(password, user.password)
+    const user = await UserService.findByEmail(email)
+    const match = Boolean(user) && typeof password === 'string' && (await bcrypt.compare(password, user.password))
 
-  if (!match) return next(new AuthException())
+    if (!match) {
+      await LockoutService.registerFailure(email, req.ip)
+      await recordFailure(req, 'invalid_credentials', user)
+      return next(new AuthException())
+    }
 
-  if (user.inactive) return next(new ForbiddenException())
+    await LockoutService.registerSuccess(email)
 
-  const token = await TokenService.createToken(user)
+    res.send(await signIn(req, user))
+  } catch (error) {
+    next(error)
+  }
+})
 
-  res.send({ id: user.id, username: user.username, token, image: user.image })
+router.post('/api/1.0/auth/2fa', async (req, res, next) => {
+  const { challenge, code } = req.body
+  try {
+    await LockoutService.checkIp(req.ip)
+    const user = await TwoFactorService.verifyChallenge(challenge, code)
+    // deactivation clears open challenges, so a deactivated user holds one only after signing in with `reactivate`
+    await checkAccount(req, user, true)
+    if (UserService.isSelfDeactivated(user)) await UserService.reactivateUser(user, AuditService.contextOf(req))
+    res.send(await authenticate(req, user))
+  } catch (error) {
+    if (error instanceof AuthException) {
+      await LockoutService.registerIpFailure(req.ip)
+      await recordFailure(req, 'two_factor_failure')
+    }
+    next(error)
+  }
+})
+
+router.post('/api/1.0/auth/magic-link', check('email').isEmail().withMessage('email_invalid'), async (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()))
+  }
+
+  try {
+    await MagicLinkService.request(req.body.email, AuditService.contextOf(req))
+    res.send({ message: req.t('magic_link_request_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.post('/api/1.0/auth/magic-link/:token', async (req, res, next) => {
+  try {
+    await LockoutService.checkIp(req.ip)
+    const user = await MagicLinkService.exchange(req.params.token)
+    res.send(await signIn(req, user))
+  } catch (error) {
+    if (error instanceof InvalidTokenException) await LockoutService.registerIpFailure(req.ip)
+    next(error)
+  }
+})
+
+router.post('/api/1.0/auth/unlock/:token', async (req, res, next) => {
+  try {
+    await LockoutService.unlock(req.params.token)
+    res.send({ message: req.t('account_unlock_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.post('/api/1.0/auth/refresh', async (req, res, next) => {
+  const { refreshToken } = req.body
+  try {
+    const tokens = await TokenService.refresh(refreshToken)
+    res.send(tokens)
+  } catch (error) {
+    next(error)
+  }
 })
 
-router.post('/api/1.0/logout', async (req, res) => {
-  const { authorization } = req.headers
-  if (authorization) {
-    const token = authorization.substring(7)
-    await TokenService.deleteToken(token)
+router.post('/api/1.0/logout', authentication('bearer'), async (req, res, next) => {
+  try {
+    if (req.authenticatedUser) {
+      const { id, tokenId } = req.authenticatedUser
+      await TokenService.deleteToken(id, tokenId, AuditService.contextOf(req))
+    }
+    res.send()
+  } catch (error) {
+    next(error)
   }
-  res.send()
 })
 
 module.exports = router
@@ -0,0 +1,60 @@
+const config = require('config')
+const User = require('../user/User')
+const EmailService = require('../email/EmailService')
+const ThrottleService = require('../throttle/ThrottleService')
+const InvalidTokenException = require('../user/InvalidTokenEexception')
+const { hash, matches } = require('../shared/secret')
+const { randomString } = require('../shared/generator')
+
+const lockout = config.get('auth.lockout')
+
+const accountKey = email => `login:account:${String(email).toLowerCase()}`
+const ipKey = ip => `login:ip:${ip}`
+
+const checkIp = async ip => {
+  await ThrottleService.check(ipKey(ip))
+}
+
+const check = async (email, ip) => {
+  await checkIp(ip)
+  await ThrottleService.check(accountKey(email), 'account_locked')
+}
+
+const registerIpFailure = async ip => {
+  await ThrottleService.registerAttempt(ipKey(ip), lockout.ip)
+}
+
+const sendUnlockEmail = async email => {
+  const user = await User.findOne({ where: { email } })
+  if (!user) return
+
+  const unlockToken = randomString(16)
+  user.unlockToken = hash(unlockToken)
+  await user.save()
+  try {
+    await EmailService.sendAccountUnlock(email, unlockToken)
+  } catch (error) {
+    // the lock expires on its own, so an undelivered unlock e-mail must not change the response
+  }
+}
+
+const registerFailure = async (email, ip) => {
+  await registerIpFailure(ip)
+  const { locked } = await ThrottleService.registerAttempt(accountKey(email), lockout.account)
+  if (locked) await sendUnlockEmail(email)
+}
+
+const registerSuccess = async email => {
+  await ThrottleService.reset(accountKey(email))
+}
+
+const unlock = async token => {
+  const user = token && (await User.findOne({ where: { unlockToken: hash(token) } }))
+  if (!user || !matches(token, user.unlockToken)) throw new InvalidTokenException('account_unlock_failure')
+
+  await ThrottleService.reset(accountKey(user.email))
+  user.unlockToken = null
+  await user.save()
+}
+
+module.exports = { check, checkIp, registerFailure, registerIpFailure, registerSuccess, unlock }
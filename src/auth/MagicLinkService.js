@@ -0,0 +1,37 @@
+const config = require('config')
+const Sequelize = require('sequelize')
+const User = require('../user/User')
+const UserService = require('../user/UserService')
+const EmailService = require('../email/EmailService')
+const InvalidTokenException = require('../user/InvalidTokenEexception')
+const { hash, matches } = require('../shared/secret')
+const { randomString } = require('../shared/generator')
+
+const magicLinkLifetime = config.get('auth.magicLinkLifetime')
+
+const request = async (email, context) => {
+  await UserService.throttleEmail('magic-link', email, context.ip)
+
+  const user = await User.findOne({ where: { email } })
+  if (!user) return
+
+  const token = randomString(32)
+  user.magicLinkToken = hash(token)
+  user.magicLinkExpiresAt = new Date(Date.now() + magicLinkLifetime)
+  await user.save()
+  await UserService.sendWithoutDisclosure(() => EmailService.sendMagicLink(email, token))
+}
+
+const exchange = async token => {
+  const tokenHash = hash(token)
+  const user = await User.findOne({ where: { magicLinkToken: tokenHash, magicLinkExpiresAt: { [Sequelize.Op.gt]: new Date() } } })
+  if (!user || !matches(token, user.magicLinkToken)) throw new InvalidTokenException('magic_link_failure')
+
+  // clearing the token only where it is still set lets exactly one of concurrent requests use the link
+  const [count] = await User.update({ magicLinkToken: null, magicLinkExpiresAt: null }, { where: { id: user.id, magicLinkToken: tokenHash } })
+  if (count === 0) throw new InvalidTokenException('magic_link_failure')
+
+  return user
+}
+
+module.exports = { request, exchange }
@@ -0,0 +1,27 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class RefreshToken extends Model {}
+
+RefreshToken.init(
+  {
+    token: {
+      type: Sequelize.STRING,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+    usedAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'refreshToken',
+    timestamps: false,
+  }
+)
+
+module.exports = RefreshToken
@@ -0,0 +1,25 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class RevokedToken extends Model {}
+
+RevokedToken.init(
+  {
+    token: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'revokedToken',
+    timestamps: false,
+  }
+)
+
+module.exports = RevokedToken
@@ -0,0 +1,33 @@
+const express = require('express')
+const TokenService = require('./TokenService')
+const AuditService = require('../audit/AuditService')
+const { authentication, requireAuthentication } = require('../middleware/authentication')
+
+const router = express.Router()
+
+const authenticate = authentication('bearer')
+
+const requireUser = requireAuthentication('unauthorized_session_access')
+
+router.get('/api/1.0/sessions', authenticate, requireUser, async (req, res) => {
+  const { id, tokenId } = req.authenticatedUser
+  const sessions = await TokenService.getSessions(id, tokenId)
+  res.send(sessions)
+})
+
+router.delete('/api/1.0/sessions', authenticate, requireUser, async (req, res) => {
+  const { id, tokenId } = req.authenticatedUser
+  await TokenService.deleteOtherSessions(id, tokenId, AuditService.contextOf(req))
+  res.send()
+})
+
+router.delete('/api/1.0/sessions/:id', authenticate, requireUser, async (req, res, next) => {
+  try {
+    await TokenService.deleteSession(req.authenticatedUser.id, req.params.id, AuditService.contextOf(req))
+    res.send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -1,5 +1,6 @@
 const Sequelize = require('sequelize')
 const sequelize = require('../config/db')
+const RefreshToken = require('./RefreshToken')
 
 const Model = Sequelize.Model
 
@@ -13,6 +14,22 @@ Token.init(
     lastUsedAt: {
       type: Sequelize.DATE,
     },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+    device: {
+      type: Sequelize.STRING,
+    },
+    userAgent: {
+      type: Sequelize.STRING,
+    },
+    ip: {
+      type: Sequelize.STRING,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.NOW,
+    },
   },
   {
     sequelize,
@@ -21,4 +38,8 @@ Token.init(
   }
 )
 
+// Every refresh token issued for a session points back to its token row,
+// so destroying the row revokes the whole refresh token family.
+Token.hasMany(RefreshToken, { onDelete: 'cascade', foreignKey: 'tokenId' })
+
 module.exports = Token
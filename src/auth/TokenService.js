@@ -1,43 +1,156 @@
-const jwt = require('jsonwebtoken')
+const config = require('config')
 const Sequelize = require('sequelize')
 const { randomString } = require('../shared/generator')
+const { hash, matches } = require('../shared/secret')
 const Token = require('./Token')
+const User = require('../user/User')
+const RefreshToken = require('./RefreshToken')
+const RevokedToken = require('./RevokedToken')
+const AuthException = require('./AuthException')
+const NotFoundException = require('../error/NotFoundException')
+const AuditService = require('../audit/AuditService')
 
-const createToken = async user => {
-  const token = randomString(32)
-  await Token.create({ token, userId: user.id, lastUsedAt: new Date() })
-  return token
+const { accessTokenLifetime, refreshTokenLifetime, tokenStrategy } = config.get('auth')
+
+const strategies = {
+  opaque: require('./strategy/OpaqueTokenStrategy'),
+  jwt: require('./strategy/JwtTokenStrategy'),
 }
 
-const verify = async token => {
-  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-  const tokenInDb = await Token.findOne({ where: { token, lastUsedAt: { [Sequelize.Op.gt]: oneWeekAgo } } })
+const strategy = strategies[tokenStrategy]
+
+const createRefreshToken = async tokenId => {
+  const refreshToken = randomString(32)
+  await RefreshToken.create({ token: hash(refreshToken), tokenId, expiresAt: new Date(Date.now() + refreshTokenLifetime) })
+  return refreshToken
+}
+
+const issueAccessToken = async (user, tokenInDb) => {
+  const expiresAt = new Date(Date.now() + accessTokenLifetime)
+  const { token, tokenHash } = await strategy.issue({ user, tokenId: tokenInDb.id, expiresAt })
+  tokenInDb.token = tokenHash
   tokenInDb.lastUsedAt = new Date()
+  tokenInDb.expiresAt = expiresAt
   await tokenInDb.save()
-  const userId = tokenInDb.userId
-  return { id: userId }
+  return token
+}
+
+const createToken = async (user, client = {}) => {
+  const { device, userAgent, ip } = client
+  const tokenInDb = await Token.create({ userId: user.id, device, userAgent, ip, createdAt: new Date() })
+  const token = await issueAccessToken(user, tokenInDb)
+  const refreshToken = await createRefreshToken(tokenInDb.id)
+  await AuditService.record('login_success', { actorId: user.id, targetId: user.id, ip, userAgent })
+  return { token, refreshToken }
+}
+
+const verify = async token => {
+  return strategy.verify(token)
+}
+
+const revokeTokens = async where => {
+  const tokens = await Token.findAll({ where, attributes: ['token', 'expiresAt'] })
+  await strategy.revoke(tokens)
+  return Token.destroy({ where })
+}
+
+const revokeFamily = async tokenId => {
+  await revokeTokens({ id: tokenId })
+}
+
+const refresh = async refreshToken => {
+  if (typeof refreshToken !== 'string') throw new AuthException()
+
+  const refreshTokenInDb = await RefreshToken.findOne({ where: { token: hash(refreshToken) } })
+  if (!refreshTokenInDb || !matches(refreshToken, refreshTokenInDb.token)) throw new AuthException()
+
+  const { id, tokenId } = refreshTokenInDb
+
+  if (refreshTokenInDb.usedAt) {
+    await revokeFamily(tokenId)
+    throw new AuthException()
+  }
+
+  if (refreshTokenInDb.expiresAt.getTime() <= Date.now()) throw new AuthException()
+
+  const [updatedCount] = await RefreshToken.update({ usedAt: new Date() }, { where: { id, usedAt: null } })
+  if (updatedCount === 0) {
+    await revokeFamily(tokenId)
+    throw new AuthException()
+  }
+
+  const tokenInDb = await Token.findOne({ where: { id: tokenId } })
+  const user = await User.findOne({ where: { id: tokenInDb.userId } })
+  await strategy.revoke([tokenInDb])
+  const token = await issueAccessToken(user, tokenInDb)
+
+  return { token, refreshToken: await createRefreshToken(tokenId) }
+}
+
+const rotateToken = async tokenId => {
+  const tokenInDb = await Token.findOne({ where: { id: tokenId } })
+  const user = await User.findOne({ where: { id: tokenInDb.userId } })
+  await strategy.revoke([tokenInDb])
+  // refresh tokens issued before the rotation must not be able to bring the session back
+  await RefreshToken.destroy({ where: { tokenId } })
+  const token = await issueAccessToken(user, tokenInDb)
+
+  return { token, refreshToken: await createRefreshToken(tokenId) }
 }
 
-const deleteToken = async token => {
-  await Token.destroy({ where: { token } })
+const deleteToken = async (userId, tokenId, context) => {
+  await revokeTokens({ id: tokenId, userId })
+  await AuditService.record('logout', { ...context, targetId: userId })
 }
 
 const scheduleCleanup = () => {
   setInterval(async () => {
-    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    const refreshTokenLifetimeAgo = new Date(Date.now() - refreshTokenLifetime)
 
-    await Token.destroy({ where: { lastUsedAt: { [Sequelize.Op.lt]: oneWeekAgo } } })
+    await Token.destroy({ where: { lastUsedAt: { [Sequelize.Op.lt]: refreshTokenLifetimeAgo } } })
+    await RefreshToken.destroy({ where: { expiresAt: { [Sequelize.Op.lt]: new Date() } } })
+    await RevokedToken.destroy({ where: { expiresAt: { [Sequelize.Op.lt]: new Date() } } })
   }, 60 * 60 * 1000)
 }
 
 const clearTokens = async userId => {
-  await Token.destroy({ where: { userId } })
+  await revokeTokens({ userId })
+}
+
+const clearOtherTokens = async (userId, currentTokenId) => {
+  await revokeTokens({ userId, id: { [Sequelize.Op.not]: currentTokenId } })
+}
+
+const getSessions = async (userId, currentTokenId) => {
+  const tokens = await Token.findAll({
+    where: { userId },
+    attributes: ['id', 'device', 'userAgent', 'ip', 'createdAt', 'lastUsedAt'],
+    order: [['lastUsedAt', 'DESC']],
+  })
+  return tokens.map(token => ({ ...token.get({ plain: true }), current: token.id === currentTokenId }))
+}
+
+const deleteSession = async (userId, tokenId, context) => {
+  const destroyedCount = await revokeTokens({ id: tokenId, userId })
+  if (destroyedCount === 0) throw new NotFoundException('session_not_found')
+  await AuditService.record('session_revoked', { ...context, targetId: userId, details: { sessionId: Number(tokenId) } })
+}
+
+const deleteOtherSessions = async (userId, currentTokenId, context) => {
+  const destroyedCount = await revokeTokens({ userId, id: { [Sequelize.Op.not]: currentTokenId } })
+  await AuditService.record('sessions_revoked', { ...context, targetId: userId, details: { count: destroyedCount } })
 }
 
 module.exports = {
   createToken,
   verify,
+  refresh,
+  rotateToken,
   deleteToken,
   scheduleCleanup,
   clearTokens,
+  clearOtherTokens,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
 }
@@ -0,0 +1,4 @@
+module.exports = function TwoFactorException(message = 'two_factor_code_invalid') {
+  this.status = 400
+  this.message = message
+}
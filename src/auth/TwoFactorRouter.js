@@ -0,0 +1,39 @@
+const express = require('express')
+const TwoFactorService = require('./TwoFactorService')
+const AuditService = require('../audit/AuditService')
+const { authentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+
+const router = express.Router()
+
+const authenticate = authentication('bearer')
+const requireAccountOwner = authorize({ message: 'unauthorized_two_factor_update' })
+
+router.post('/api/1.0/users/:id/2fa', authenticate, requireAccountOwner, async (req, res, next) => {
+  try {
+    const enrollment = await TwoFactorService.enroll(req.params.id)
+    res.send(enrollment)
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.post('/api/1.0/users/:id/2fa/confirm', authenticate, requireAccountOwner, async (req, res, next) => {
+  try {
+    const recoveryCodes = await TwoFactorService.confirm(req.params.id, req.body.code, AuditService.contextOf(req))
+    res.send({ message: req.t('two_factor_enabled'), recoveryCodes })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.delete('/api/1.0/users/:id/2fa', authenticate, requireAccountOwner, async (req, res, next) => {
+  try {
+    await TwoFactorService.disable(req.params.id, req.body.code, AuditService.contextOf(req))
+    res.send({ message: req.t('two_factor_disabled') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,111 @@
+const config = require('config')
+const Sequelize = require('sequelize')
+const User = require('../user/User')
+const totp = require('../shared/totp')
+const { encrypt, decrypt, hash, matches } = require('../shared/secret')
+const { randomString } = require('../shared/generator')
+const AuthException = require('./AuthException')
+const TwoFactorException = require('./TwoFactorException')
+const AuditService = require('../audit/AuditService')
+
+const { issuer, challengeLifetime, recoveryCodeCount, challengeAttempts } = config.get('auth.twoFactor')
+
+const normalize = code => (typeof code === 'string' ? code.replace(/\s/g, '') : '')
+
+const acceptTotpCode = (user, code) => {
+  const step = totp.verifyCode(decrypt(user.twoFactorSecret), normalize(code))
+  if (step === null || step <= (user.twoFactorLastUsedStep || 0)) return false
+  user.twoFactorLastUsedStep = step
+  return true
+}
+
+const acceptRecoveryCode = (user, code) => {
+  const recoveryCodes = JSON.parse(user.twoFactorRecoveryCodes || '[]')
+  const hashedCode = hash(normalize(code).toLowerCase())
+  if (!recoveryCodes.includes(hashedCode)) return false
+  user.twoFactorRecoveryCodes = JSON.stringify(recoveryCodes.filter(recoveryCode => recoveryCode !== hashedCode))
+  return true
+}
+
+const acceptCode = (user, code) => acceptTotpCode(user, code) || acceptRecoveryCode(user, code)
+
+const enroll = async id => {
+  const user = await User.findOne({ where: { id } })
+  if (user.twoFactorEnabled) throw new TwoFactorException('two_factor_already_enabled')
+
+  const secret = totp.generateSecret()
+  user.twoFactorSecret = encrypt(secret)
+  user.twoFactorLastUsedStep = null
+  await user.save()
+
+  return { secret, uri: totp.keyUri({ secret, issuer, account: user.email }) }
+}
+
+const confirm = async (id, code, context) => {
+  const user = await User.findOne({ where: { id } })
+  if (user.twoFactorEnabled || !user.twoFactorSecret) throw new TwoFactorException('two_factor_not_enrolled')
+  if (!acceptTotpCode(user, code)) throw new TwoFactorException()
+
+  const recoveryCodes = Array.from({ length: recoveryCodeCount }, () => randomString(10))
+  user.twoFactorEnabled = true
+  user.twoFactorRecoveryCodes = JSON.stringify(recoveryCodes.map(hash))
+  await user.save()
+  await AuditService.record('two_factor_enabled', { ...context, targetId: user.id })
+
+  return recoveryCodes
+}
+
+const disable = async (id, code, context) => {
+  const user = await User.findOne({ where: { id } })
+  if (!user.twoFactorEnabled) throw new TwoFactorException('two_factor_not_enabled')
+  if (!acceptCode(user, code)) throw new TwoFactorException()
+
+  user.twoFactorEnabled = false
+  user.twoFactorSecret = null
+  user.twoFactorLastUsedStep = null
+  user.twoFactorRecoveryCodes = null
+  await user.save()
+  await AuditService.record('two_factor_disabled', { ...context, targetId: user.id })
+}
+
+const createChallenge = async user => {
+  const challenge = randomString(32)
+  user.twoFactorChallenge = hash(challenge)
+  user.twoFactorChallengeExpiresAt = new Date(Date.now() + challengeLifetime)
+  user.twoFactorChallengeAttempts = 0
+  await user.save()
+  return challenge
+}
+
+// an account that can no longer sign in must not finish a sign in started before
+const clearChallenge = async userId => {
+  await User.update({ twoFactorChallenge: null, twoFactorChallengeExpiresAt: null, twoFactorChallengeAttempts: 0 }, { where: { id: userId } })
+}
+
+// every code sent uses up an attempt before it is checked, so concurrent guesses cannot get past the limit
+const takeChallengeAttempt = async user => {
+  const [count] = await User.update(
+    { twoFactorChallengeAttempts: Sequelize.literal('twoFactorChallengeAttempts + 1') },
+    { where: { id: user.id, twoFactorChallenge: user.twoFactorChallenge, twoFactorChallengeAttempts: { [Sequelize.Op.lt]: challengeAttempts } } }
+  )
+  return count > 0
+}
+
+const verifyChallenge = async (challenge, code) => {
+  if (typeof challenge !== 'string') throw new AuthException()
+
+  const user = await User.findOne({
+    where: { twoFactorChallenge: hash(challenge), twoFactorChallengeExpiresAt: { [Sequelize.Op.gt]: new Date() } },
+  })
+  if (!user || !matches(challenge, user.twoFactorChallenge)) throw new AuthException()
+  if (!(await takeChallengeAttempt(user)) || !acceptCode(user, code)) throw new AuthException()
+
+  user.twoFactorChallenge = null
+  user.twoFactorChallengeExpiresAt = null
+  user.twoFactorChallengeAttempts = 0
+  await user.save()
+
+  return user
+}
+
+module.exports = { enroll, confirm, disable, createChallenge, clearChallenge, verifyChallenge }
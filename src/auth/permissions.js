@@ -0,0 +1,13 @@
+const roles = {
+  user: [],
+  admin: ['users:update', 'users:deactivate', 'users:delete', 'audit:read'],
+}
+
+const scopes = ['users:read', 'profile:write']
+
+const hasPermission = (role, permission) => Boolean(permission) && (roles[role] || []).includes(permission)
+
+// Only requests authenticated with an API key carry scopes, session tokens are not limited by them.
+const hasScope = (user, scope) => !user.scopes || user.scopes.includes(scope)
+
+module.exports = { roles, scopes, hasPermission, hasScope }
@@ -0,0 +1,12 @@
+const ApiKeyService = require('../ApiKeyService')
+
+const challenge = 'ApiKey realm="hoaxify"'
+
+// keys are sent either with their own scheme or as bearer tokens, which is where clients put them before schemes were declared per route
+const accepts = (type, credentials) => (type === 'apikey' || type === 'bearer') && ApiKeyService.isApiKey(credentials)
+
+const parse = key => key
+
+const authenticate = key => ApiKeyService.verify(key)
+
+module.exports = { challenge, accepts, parse, authenticate }
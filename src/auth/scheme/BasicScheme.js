@@ -0,0 +1,37 @@
+const bcrypt = require('bcrypt')
+const UserService = require('../../user/UserService')
+const LockoutService = require('../LockoutService')
+const AuthException = require('../AuthException')
+
+const challenge = 'Basic realm="hoaxify", charset="UTF-8"'
+
+const accepts = type => type === 'basic'
+
+const parse = credentials => {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(credentials)) return null
+
+  const decoded = Buffer.from(credentials, 'base64').toString('utf8')
+  const separator = decoded.indexOf(':')
+  if (separator < 1) return null
+
+  return { email: decoded.substring(0, separator), password: decoded.substring(separator + 1) }
+}
+
+const authenticate = async ({ email, password }, req) => {
+  await LockoutService.check(email, req.ip)
+
+  const user = await UserService.findByEmail(email)
+  const match = Boolean(user) && typeof password === 'string' && (await bcrypt.compare(password, user.password))
+  if (!match) {
+    await LockoutService.registerFailure(email, req.ip)
+    throw new AuthException()
+  }
+
+  // a password alone must not get around the second factor
+  if (user.inactive || user.deactivatedAt || user.deletionRequestedAt || user.twoFactorEnabled) throw new AuthException()
+
+  await LockoutService.registerSuccess(email)
+  return { id: user.id, role: user.role }
+}
+
+module.exports = { challenge, accepts, parse, authenticate }
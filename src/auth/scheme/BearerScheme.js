@@ -0,0 +1,12 @@
+const TokenService = require('../TokenService')
+const ApiKeyService = require('../ApiKeyService')
+
+const challenge = 'Bearer realm="hoaxify"'
+
+const accepts = (type, credentials) => type === 'bearer' && !ApiKeyService.isApiKey(credentials)
+
+const parse = token => token
+
+const authenticate = token => TokenService.verify(token)
+
+module.exports = { challenge, accepts, parse, authenticate }
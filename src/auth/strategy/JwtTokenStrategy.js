@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken')
+const config = require('config')
+const { randomString } = require('../../shared/generator')
+const { hash } = require('../../shared/secret')
+const RevokedToken = require('../RevokedToken')
+const AuthException = require('../AuthException')
+
+const { algorithm, issuer, audience, signingKey, keys } = config.get('auth.jwt')
+
+const issue = async ({ user, tokenId, expiresAt }) => {
+  const jti = randomString(32)
+  const key = keys[signingKey]
+  const payload = { sid: tokenId, role: user.role, exp: Math.floor(expiresAt.getTime() / 1000) }
+  const token = jwt.sign(payload, key.privateKey || key.secret, { algorithm, issuer, audience, keyid: signingKey, subject: String(user.id), jwtid: jti })
+  return { token, tokenHash: hash(jti) }
+}
+
+const decode = token => {
+  const decoded = jwt.decode(token, { complete: true })
+  const key = decoded && keys[decoded.header.kid]
+  if (!key) throw new AuthException()
+  return jwt.verify(token, key.publicKey || key.secret, { algorithms: [algorithm], issuer, audience })
+}
+
+const verify = async token => {
+  let payload
+  try {
+    payload = decode(token)
+  } catch (error) {
+    throw new AuthException()
+  }
+
+  const revokedToken = await RevokedToken.findOne({ where: { token: hash(payload.jti) } })
+  if (revokedToken) throw new AuthException()
+
+  return { id: Number(payload.sub), tokenId: payload.sid, role: payload.role }
+}
+
+// A signed token stays valid until it expires, so ending a session has to put its token on the revocation list.
+const revoke = async tokens => {
+  const revokedTokens = tokens.filter(({ token }) => token).map(({ token, expiresAt }) => ({ token, expiresAt }))
+  await RevokedToken.bulkCreate(revokedTokens, { ignoreDuplicates: true })
+}
+
+module.exports = { issue, verify, revoke }
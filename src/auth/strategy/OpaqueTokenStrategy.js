@@ -0,0 +1,26 @@
+const Sequelize = require('sequelize')
+const { randomString } = require('../../shared/generator')
+const { hash, matches } = require('../../shared/secret')
+const Token = require('../Token')
+const User = require('../../user/User')
+const AuthException = require('../AuthException')
+
+const issue = async () => {
+  const token = randomString(32)
+  return { token, tokenHash: hash(token) }
+}
+
+const verify = async token => {
+  const tokenInDb = await Token.findOne({ where: { token: hash(token), expiresAt: { [Sequelize.Op.gt]: new Date() } } })
+  if (!tokenInDb || !matches(token, tokenInDb.token)) throw new AuthException()
+  tokenInDb.lastUsedAt = new Date()
+  await tokenInDb.save()
+  const userId = tokenInDb.userId
+  const user = await User.findOne({ where: { id: userId }, attributes: ['role'] })
+  return { id: userId, tokenId: tokenInDb.id, role: user.role }
+}
+
+// Opaque tokens only live in the tokens table, so deleting their rows is enough to revoke them.
+const revoke = async () => {}
+
+module.exports = { issue, verify, revoke }
@@ -16,5 +16,73 @@ const sendPasswordReset = async (email, token) => {
     html: `Rest Token is ${token}`,
   })
 }
+const sendAccountUnlock = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'Account Locked',
+    html: `Unlock Token is ${token}`,
+  })
+}
+const sendMagicLink = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'Sign In Link',
+    html: `Sign In Token is ${token}`,
+  })
+}
+const sendEmailChangeConfirmation = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'E-mail Change',
+    html: `Confirmation Token is ${token}`,
+  })
+}
+const sendEmailChangeNotice = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'E-mail Change Requested',
+    html: `Cancel Token is ${token}`,
+  })
+}
+const sendPasswordChangeNotice = async email => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'Password Changed',
+    html: 'Your password was changed',
+  })
+}
 
-module.exports = { sendActivationToken, sendPasswordReset }
+const sendAccountRestore = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'Account Deleted',
+    html: `Restore Token is ${token}`,
+  })
+}
+
+const sendDataExport = async (email, link) => {
+  const info = await transporter.sendMail({
+    from: 'My App',
+    to: email,
+    subject: 'Data Export',
+    html: `Export Link is ${link}`,
+  })
+}
+
+module.exports = {
+  sendActivationToken,
+  sendPasswordReset,
+  sendAccountUnlock,
+  sendMagicLink,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendPasswordChangeNotice,
+  sendAccountRestore,
+  sendDataExport,
+}
@@ -1,5 +1,5 @@
 module.exports = (err, req, res, next) => {
-  const { status, message, errors } = err
+  const { status, message, errors, retryAfter, challenge } = err
 
   let validationErrors
 
@@ -10,5 +10,8 @@ module.exports = (err, req, res, next) => {
     })
   }
 
+  if (retryAfter) res.set('Retry-After', String(retryAfter))
+  if (challenge) res.set('WWW-Authenticate', challenge)
+
   res.status(status).send({ path: req.originalUrl, timestamp: new Date().getTime(), message: req.t(message), validationErrors })
 }
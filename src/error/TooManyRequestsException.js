@@ -0,0 +1,5 @@
+module.exports = function TooManyRequestsException(message = 'too_many_attempts', retryAfter) {
+  this.status = 429
+  this.message = message
+  this.retryAfter = retryAfter
+}
@@ -0,0 +1,29 @@
+const express = require('express')
+const DataExportService = require('./DataExportService')
+const AuditService = require('../audit/AuditService')
+const { authentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+
+const router = express.Router()
+
+router.post('/api/1.0/users/:id/export', authentication('bearer', 'basic'), authorize({ message: 'unauthorized_data_export' }), async (req, res, next) => {
+  try {
+    await DataExportService.requestExport(req.params.id, AuditService.contextOf(req))
+    res.status(202).send({ message: req.t('data_export_request_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.get('/api/1.0/exports/:fileName', (req, res, next) => {
+  const { expires, signature } = req.query
+  try {
+    const filePath = DataExportService.getExport({ fileName: req.params.fileName, expires, signature })
+    res.set('Cache-Control', 'no-store')
+    res.download(filePath, 'hoaxify-data-export.tar.gz')
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,141 @@
+const config = require('config')
+const User = require('../user/User')
+const Token = require('../auth/Token')
+const ApiKey = require('../auth/ApiKey')
+const Follow = require('../follow/Follow')
+const Restriction = require('../restriction/Restriction')
+const AuditService = require('../audit/AuditService')
+const EmailService = require('../email/EmailService')
+const FileService = require('../file/FileService')
+const ThrottleService = require('../throttle/ThrottleService')
+const ForbiddenException = require('../error/ForbiddenException')
+const NotFoundException = require('../error/NotFoundException')
+const { pack } = require('../shared/archive')
+const { hash, matches } = require('../shared/secret')
+const privacy = require('../shared/privacy')
+
+const { linkLifetime, throttle } = config.get('dataExport')
+
+// only these columns leave the database, password hashes and token secrets stay behind
+const profileAttributes = [
+  'id',
+  'username',
+  'email',
+  'image',
+  'displayName',
+  'bio',
+  'location',
+  'website',
+  'pronouns',
+  'privacy',
+  'privateProfile',
+  'role',
+  'inactive',
+  'deactivatedAt',
+  'deletionRequestedAt',
+  'twoFactorEnabled',
+  'pendingEmail',
+  'createdAt',
+  'updatedAt',
+]
+
+const toJson = value => Buffer.from(JSON.stringify(value, null, 2))
+
+// events caused by someone else, like a moderating admin or a stranger trying to sign in, keep what happened but not where it came from
+const withoutForeignOrigin = (user, event) => {
+  if (event.actorId === user.id) return event
+  const { ip, userAgent, ...rest } = event
+  return rest
+}
+
+const relatedUserAttributes = ['id', 'username']
+
+const followsOf = async (where, as) => {
+  const follows = await Follow.findAll({ where, include: [{ model: User, as, attributes: relatedUserAttributes }], order: [['createdAt', 'ASC']] })
+  return follows.map(follow => ({ user: follow[as], createdAt: follow.createdAt }))
+}
+
+const restrictionsOf = async (userId, type) => {
+  const restrictions = await Restriction.findAll({
+    where: { userId, type },
+    include: [{ model: User, as: 'target', attributes: relatedUserAttributes }],
+    order: [['createdAt', 'ASC']],
+  })
+  return restrictions.map(restriction => ({ user: restriction.target, createdAt: restriction.createdAt }))
+}
+
+const collect = async user => {
+  const sessions = await Token.findAll({
+    where: { userId: user.id },
+    attributes: ['id', 'device', 'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'expiresAt'],
+  })
+  const apiKeys = await ApiKey.findAll({
+    where: { userId: user.id },
+    attributes: ['id', 'name', 'scopes', 'lastUsedAt', 'expiresAt', 'createdAt'],
+  })
+  const follows = {
+    followers: await followsOf({ followeeId: user.id, approved: true }, 'follower'),
+    following: await followsOf({ followerId: user.id, approved: true }, 'followee'),
+    receivedRequests: await followsOf({ followeeId: user.id, approved: false }, 'follower'),
+    sentRequests: await followsOf({ followerId: user.id, approved: false }, 'followee'),
+  }
+  const restrictions = {
+    blocks: await restrictionsOf(user.id, 'block'),
+    mutes: await restrictionsOf(user.id, 'mute'),
+  }
+  const events = (await AuditService.getUserEvents(user.id)).map(event => withoutForeignOrigin(user, event))
+
+  const entries = [
+    { name: 'profile.json', content: toJson({ ...user.get({ plain: true }), privacy: privacy.settingsOf(user) }) },
+    { name: 'sessions.json', content: toJson(sessions) },
+    { name: 'api-keys.json', content: toJson(apiKeys.map(apiKey => ({ ...apiKey.get({ plain: true }), scopes: JSON.parse(apiKey.scopes) }))) },
+    { name: 'follows.json', content: toJson(follows) },
+    { name: 'restrictions.json', content: toJson(restrictions) },
+    { name: 'events.json', content: toJson(events) },
+  ]
+
+  const image = user.image && (await FileService.readProfileImage(user.image))
+  if (image) entries.push({ name: 'profile-image', content: image })
+
+  return entries
+}
+
+const signatureOf = (fileName, expires) => hash(`${fileName}.${expires}`)
+
+const buildExport = async userId => {
+  const user = await User.findOne({ where: { id: userId }, attributes: profileAttributes })
+  if (!user) return
+
+  const archive = await pack(await collect(user))
+  const fileName = await FileService.saveExport(archive)
+  const expires = Date.now() + linkLifetime
+  await EmailService.sendDataExport(user.email, `/api/1.0/exports/${fileName}?expires=${expires}&signature=${signatureOf(fileName, expires)}`)
+}
+
+const requestExport = async (userId, context) => {
+  // every request builds a full archive, so a user gets only a few of them a day
+  const throttleKey = `data-export:user:${Number(userId)}`
+  await ThrottleService.check(throttleKey)
+  await ThrottleService.registerAttempt(throttleKey, throttle)
+
+  await AuditService.record('data_export_requested', { ...context, targetId: Number(userId) })
+  // the archive is built after the response is sent and its link arrives by e-mail
+  buildExport(userId).catch(() => {
+    // nothing is sent in that case and the user can simply request another export
+  })
+}
+
+const getExport = ({ fileName, expires, signature }) => {
+  const valid = /^\w+$/.test(fileName) && Number(expires) > Date.now() && matches(`${fileName}.${expires}`, signature)
+  if (!valid) throw new ForbiddenException('data_export_link_invalid')
+
+  const filePath = FileService.exportPath(fileName)
+  if (!filePath) throw new NotFoundException('data_export_not_found')
+  return filePath
+}
+
+const scheduleCleanup = () => {
+  setInterval(() => FileService.deleteExportsOlderThan(new Date(Date.now() - linkLifetime)), 60 * 60 * 1000)
+}
+
+module.exports = { requestExport, buildExport, getExport, scheduleCleanup }
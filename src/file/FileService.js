@@ -3,8 +3,9 @@ const path = require('path')
 const config = require('config')
 const FileType = require('file-type')
 const { randomString } = require('../shared/generator')
-const { uploadDir, profileDir } = config
+const { uploadDir, profileDir, exportDir } = config
 const profileFolder = path.join('.', uploadDir, profileDir)
+const exportFolder = path.join('.', uploadDir, exportDir)
 
 const createFolders = () => {
   if (!fs.existsSync(uploadDir)) {
@@ -14,6 +15,10 @@ const createFolders = () => {
   if (!fs.existsSync(profileFolder)) {
     fs.mkdirSync(profileFolder)
   }
+
+  if (!fs.existsSync(exportFolder)) {
+    fs.mkdirSync(exportFolder)
+  }
 }
 
 const saveProfileImage = async base64File => {
@@ -29,6 +34,40 @@ const deleteProfileImage = async fileName => {
   await fs.promises.unlink(filePath)
 }
 
+const deleteUserFiles = async user => {
+  if (user.image) {
+    await fs.promises.rm(path.join(profileFolder, user.image), { force: true })
+  }
+}
+
+const readProfileImage = async fileName => {
+  try {
+    return await fs.promises.readFile(path.join(profileFolder, fileName))
+  } catch (error) {
+    return null
+  }
+}
+
+const saveExport = async archive => {
+  const fileName = randomString(32)
+  await fs.promises.writeFile(path.join(exportFolder, fileName), archive)
+  return fileName
+}
+
+const exportPath = fileName => {
+  const filePath = path.join(exportFolder, fileName)
+  return fs.existsSync(filePath) ? path.resolve(filePath) : null
+}
+
+const deleteExportsOlderThan = async date => {
+  const fileNames = await fs.promises.readdir(exportFolder)
+  for (const fileName of fileNames) {
+    const filePath = path.join(exportFolder, fileName)
+    const { mtime } = await fs.promises.stat(filePath)
+    if (mtime < date) await fs.promises.rm(filePath, { force: true })
+  }
+}
+
 const isLessThan2Mb = buffer => buffer.length < 2 * 1024 * 1024
 
 const isSupportedFileType = async buffer => {
@@ -38,4 +77,15 @@ const isSupportedFileType = async buffer => {
   return false
 }
 
-module.exports = { createFolders, saveProfileImage, deleteProfileImage, isLessThan2Mb, isSupportedFileType }
+module.exports = {
+  createFolders,
+  saveProfileImage,
+  deleteProfileImage,
+  deleteUserFiles,
+  readProfileImage,
+  saveExport,
+  exportPath,
+  deleteExportsOlderThan,
+  isLessThan2Mb,
+  isSupportedFileType,
+}
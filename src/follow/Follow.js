@@ -0,0 +1,36 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class Follow extends Model {}
+
+Follow.init(
+  {
+    followerId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    followeeId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    approved: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'follow',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['followerId', 'followeeId'] }],
+  }
+)
+
+module.exports = Follow
@@ -0,0 +1,4 @@
+module.exports = function FollowException(message) {
+  this.status = 400
+  this.message = message
+}
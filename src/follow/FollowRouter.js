@@ -0,0 +1,72 @@
+const express = require('express')
+const FollowService = require('./FollowService')
+const UserService = require('../user/UserService')
+const { authentication, requireAuthentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+const restrictScope = require('../middleware/scopeRestriction')
+const pagination = require('../middleware/pagination')
+const pageLinks = require('../shared/pageLinks')
+
+const router = express.Router()
+
+const authenticate = authentication('bearer', 'basic')
+const authenticateWithApiKey = authentication('bearer', 'basic', 'apiKey')
+
+const requireUser = requireAuthentication('unauthorized_follow')
+
+router.post('/api/1.0/users/:id/follow', authenticate, requireUser, async (req, res, next) => {
+  try {
+    const { approved } = await FollowService.follow(req.authenticatedUser.id, req.params.id)
+    res.send({ message: req.t(approved ? 'follow_success' : 'follow_request_sent') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.delete('/api/1.0/users/:id/follow', authenticate, requireUser, async (req, res, next) => {
+  try {
+    await FollowService.unfollow(req.authenticatedUser.id, req.params.id)
+    res.send({ message: req.t('unfollow_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+const listing = getPage => async (req, res, next) => {
+  const { page, size } = req.pagination
+  try {
+    const users = await getPage(req.params.id, page, size, req.authenticatedUser)
+    res.links(pageLinks(req, users))
+    res.send(users)
+  } catch (error) {
+    next(error)
+  }
+}
+
+router.get('/api/1.0/users/:id/followers', authenticateWithApiKey, restrictScope('users:read'), pagination, listing(UserService.getFollowers))
+
+router.get('/api/1.0/users/:id/following', authenticateWithApiKey, restrictScope('users:read'), pagination, listing(UserService.getFollowing))
+
+const authorizeOwner = authorize({ message: 'unauthorized_follow_request_access' })
+
+router.get('/api/1.0/users/:id/follow-requests', authenticate, authorizeOwner, pagination, listing(UserService.getFollowRequests))
+
+router.post('/api/1.0/users/:id/follow-requests/:followerId', authenticate, authorizeOwner, async (req, res, next) => {
+  try {
+    await FollowService.approveFollow(req.params.id, req.params.followerId)
+    res.send({ message: req.t('follow_request_approve_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.delete('/api/1.0/users/:id/follow-requests/:followerId', authenticate, authorizeOwner, async (req, res, next) => {
+  try {
+    await FollowService.rejectFollow(req.params.id, req.params.followerId)
+    res.send({ message: req.t('follow_request_reject_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,51 @@
+const Sequelize = require('sequelize')
+const Follow = require('./Follow')
+const User = require('../user/User')
+const RestrictionService = require('../restriction/RestrictionService')
+const FollowException = require('./FollowException')
+const NotFoundException = require('../error/NotFoundException')
+const privacy = require('../shared/privacy')
+
+const follow = async (followerId, followeeId) => {
+  if (followerId == followeeId) throw new FollowException('follow_self')
+
+  const followee = await User.findOne({ where: { id: followeeId, inactive: false, deactivatedAt: null, deletionRequestedAt: null } })
+  if (!followee || (await RestrictionService.isBlocked(followerId, followee.id))) throw new NotFoundException('user_not_found')
+
+  const approved = !privacy.requiresApproval(followee)
+  try {
+    await Follow.create({ followerId, followeeId: followee.id, approved })
+  } catch (error) {
+    // the unique index settles concurrent requests as well, not only a repeated one
+    if (error instanceof Sequelize.UniqueConstraintError) throw new FollowException('follow_duplicate')
+    throw error
+  }
+  return { approved }
+}
+
+const unfollow = async (followerId, followeeId) => {
+  const count = await Follow.destroy({ where: { followerId, followeeId } })
+  if (count === 0) throw new NotFoundException('follow_not_found')
+}
+
+const approveFollow = async (followeeId, followerId) => {
+  const [count] = await Follow.update({ approved: true }, { where: { followerId, followeeId, approved: false } })
+  if (count === 0) throw new NotFoundException('follow_request_not_found')
+}
+
+const rejectFollow = async (followeeId, followerId) => {
+  const count = await Follow.destroy({ where: { followerId, followeeId, approved: false } })
+  if (count === 0) throw new NotFoundException('follow_request_not_found')
+}
+
+// which of the given users are followed by the follower with their approval
+const followedAmong = async (followerId, followeeIds) => {
+  const follows = await Follow.findAll({ where: { followerId, followeeId: followeeIds, approved: true }, attributes: ['followeeId'] })
+  return follows.map(follow => follow.followeeId)
+}
+
+const clearFollows = async userId => {
+  await Follow.destroy({ where: { [Sequelize.Op.or]: [{ followerId: userId }, { followeeId: userId }] } })
+}
+
+module.exports = { follow, unfollow, approveFollow, rejectFollow, followedAmong, clearFollows }
@@ -0,0 +1,42 @@
+const AuthException = require('../auth/AuthException')
+const ForbiddenException = require('../error/ForbiddenException')
+
+const schemes = {
+  bearer: require('../auth/scheme/BearerScheme'),
+  basic: require('../auth/scheme/BasicScheme'),
+  apiKey: require('../auth/scheme/ApiKeyScheme'),
+}
+
+const authentication = (...names) => {
+  const accepted = names.map(name => schemes[name])
+  const challenge = accepted.map(scheme => scheme.challenge).join(', ')
+
+  return async (req, res, next) => {
+    const { authorization } = req.headers
+    if (authorization === undefined) return next()
+
+    const [, type, credentials] = /^(\S+) +(\S+)$/.exec(authorization) || []
+    if (!type) return next(new AuthException('authentication_malformed', challenge))
+
+    const scheme = accepted.find(scheme => scheme.accepts(type.toLowerCase(), credentials))
+    if (!scheme) return next(new AuthException('authentication_scheme_unsupported', challenge))
+
+    const parsed = scheme.parse(credentials)
+    if (!parsed) return next(new AuthException('authentication_malformed', challenge))
+
+    try {
+      req.authenticatedUser = await scheme.authenticate(parsed, req)
+      next()
+    } catch (error) {
+      next(error instanceof AuthException ? new AuthException(error.message, challenge) : error)
+    }
+  }
+}
+
+// rejects requests that reached the route anonymously, the same way authorization failures are answered
+const requireAuthentication = message => (req, res, next) => {
+  if (!req.authenticatedUser) return next(new ForbiddenException(message))
+  next()
+}
+
+module.exports = { authentication, requireAuthentication }
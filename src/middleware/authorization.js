@@ -0,0 +1,17 @@
+const ForbiddenException = require('../error/ForbiddenException')
+const { hasPermission, hasScope } = require('../auth/permissions')
+
+const authorize = ({ permission, scope, message, allowOwner = true }) => {
+  return (req, res, next) => {
+    const { authenticatedUser } = req
+
+    if (authenticatedUser && hasScope(authenticatedUser, scope)) {
+      const isOwner = allowOwner && authenticatedUser.id == req.params.id
+      if (isOwner || hasPermission(authenticatedUser.role, permission)) return next()
+    }
+
+    next(new ForbiddenException(message))
+  }
+}
+
+module.exports = authorize
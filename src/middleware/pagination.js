@@ -1,3 +1,6 @@
+const ValidationException = require('../error/ValidationException')
+const { decode } = require('../shared/cursor')
+
 const pagination = (req, res, next) => {
   const pageAsNumber = parseInt(req.query.page)
   const sizeAsNumber = parseInt(req.query.size)
@@ -10,6 +13,15 @@ const pagination = (req, res, next) => {
   if (size < 1 || size > 20) size = 10
 
   req.pagination = { page, size }
+
+  if (req.query.cursor === undefined) return next()
+
+  const cursor = typeof req.query.cursor === 'string' && decode(req.query.cursor)
+  if (!cursor) {
+    return next(new ValidationException([{ param: 'cursor', msg: 'pagination_cursor_invalid' }]))
+  }
+
+  req.pagination.cursor = cursor
   next()
 }
 
@@ -0,0 +1,16 @@
+const ForbiddenException = require('../error/ForbiddenException')
+const { hasScope } = require('../auth/permissions')
+
+const restrictScope = scope => {
+  return (req, res, next) => {
+    const { authenticatedUser } = req
+
+    if (authenticatedUser && !hasScope(authenticatedUser, scope)) {
+      return next(new ForbiddenException('api_key_scope_missing'))
+    }
+
+    next()
+  }
+}
+
+module.exports = restrictScope
@@ -0,0 +1,35 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class Restriction extends Model {}
+
+Restriction.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    targetId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'restriction',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['userId', 'targetId', 'type'] }],
+  }
+)
+
+module.exports = Restriction
@@ -0,0 +1,4 @@
+module.exports = function RestrictionException(message) {
+  this.status = 400
+  this.message = message
+}
@@ -0,0 +1,42 @@
+const express = require('express')
+const RestrictionService = require('./RestrictionService')
+const UserService = require('../user/UserService')
+const { authentication, requireAuthentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+const pagination = require('../middleware/pagination')
+const pageLinks = require('../shared/pageLinks')
+
+const router = express.Router()
+
+const authenticate = authentication('bearer', 'basic')
+
+const requireUser = requireAuthentication('unauthorized_restriction')
+
+RestrictionService.types.forEach(type => {
+  router.post(`/api/1.0/users/:id/${type}`, authenticate, requireUser, async (req, res, next) => {
+    try {
+      await RestrictionService.restrict(type, req.authenticatedUser.id, req.params.id)
+      res.send({ message: req.t(`${type}_success`) })
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  router.delete(`/api/1.0/users/:id/${type}`, authenticate, requireUser, async (req, res, next) => {
+    try {
+      await RestrictionService.unrestrict(type, req.authenticatedUser.id, req.params.id)
+      res.send({ message: req.t(`un${type}_success`) })
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  router.get(`/api/1.0/users/:id/${type}s`, authenticate, authorize({ message: 'unauthorized_restriction_access' }), pagination, async (req, res) => {
+    const { page, size } = req.pagination
+    const users = await UserService.getRestrictedUsers(req.params.id, type, page, size, req.authenticatedUser)
+    res.links(pageLinks(req, users))
+    res.send(users)
+  })
+})
+
+module.exports = router
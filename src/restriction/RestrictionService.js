@@ -0,0 +1,63 @@
+const Sequelize = require('sequelize')
+const Restriction = require('./Restriction')
+const Follow = require('../follow/Follow')
+const User = require('../user/User')
+const RestrictionException = require('./RestrictionException')
+const NotFoundException = require('../error/NotFoundException')
+
+// A block hides both users from each other, a mute is one-way and leaves profiles visible.
+const types = ['block', 'mute']
+
+const restrict = async (type, userId, targetId) => {
+  if (userId == targetId) throw new RestrictionException(`${type}_self`)
+
+  const target = await User.findOne({ where: { id: targetId, inactive: false, deactivatedAt: null, deletionRequestedAt: null } })
+  if (!target) throw new NotFoundException('user_not_found')
+
+  try {
+    await Restriction.create({ type, userId, targetId: target.id })
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) throw new RestrictionException(`${type}_duplicate`)
+    throw error
+  }
+
+  if (type === 'block') {
+    await Follow.destroy({
+      where: {
+        [Sequelize.Op.or]: [
+          { followerId: userId, followeeId: target.id },
+          { followerId: target.id, followeeId: userId },
+        ],
+      },
+    })
+  }
+}
+
+const unrestrict = async (type, userId, targetId) => {
+  const count = await Restriction.destroy({ where: { type, userId, targetId } })
+  if (count === 0) throw new NotFoundException(`${type}_not_found`)
+}
+
+// ids of users the given user blocked or was blocked by
+const blockedIds = async userId => {
+  const blocks = await Restriction.findAll({
+    where: { type: 'block', [Sequelize.Op.or]: [{ userId }, { targetId: userId }] },
+    attributes: ['userId', 'targetId'],
+  })
+  return blocks.map(block => (block.userId === userId ? block.targetId : block.userId))
+}
+
+const isBlocked = async (userId, otherId) => {
+  const count = await Restriction.count({
+    where: {
+      type: 'block',
+      [Sequelize.Op.or]: [
+        { userId, targetId: otherId },
+        { userId: otherId, targetId: userId },
+      ],
+    },
+  })
+  return count > 0
+}
+
+module.exports = { types, restrict, unrestrict, blockedIds, isBlocked }
@@ -0,0 +1,37 @@
+const zlib = require('zlib')
+const { promisify } = require('util')
+
+const gzip = promisify(zlib.gzip)
+
+const BLOCK_SIZE = 512
+
+const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`
+
+// ustar header with just what is needed for regular files: name, mode, size and modification time
+const header = (name, size, modifiedAt) => {
+  const block = Buffer.alloc(BLOCK_SIZE)
+  block.write(name, 0, 100)
+  block.write(octal(0o644, 8), 100)
+  block.write(octal(0, 8), 108)
+  block.write(octal(0, 8), 116)
+  block.write(octal(size, 12), 124)
+  block.write(octal(Math.floor(modifiedAt / 1000), 12), 136)
+  block.write(' '.repeat(8), 148)
+  block.write('0', 156)
+  block.write('ustar\u000000', 257)
+  const checksum = block.reduce((sum, byte) => sum + byte, 0)
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148)
+  return block
+}
+
+const pack = async entries => {
+  const modifiedAt = Date.now()
+  const blocks = entries.flatMap(({ name, content }) => [
+    header(name, content.length, modifiedAt),
+    content,
+    Buffer.alloc((BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE),
+  ])
+  return gzip(Buffer.concat([...blocks, Buffer.alloc(BLOCK_SIZE * 2)]))
+}
+
+module.exports = { pack }
@@ -0,0 +1,13 @@
+const encode = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64url')
+
+const decode = value => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString())
+    if (cursor && ['next', 'prev'].includes(cursor.direction) && Array.isArray(cursor.values)) return cursor
+  } catch (error) {
+    // whatever does not decode is reported as an invalid cursor below
+  }
+  return null
+}
+
+module.exports = { encode, decode }
@@ -0,0 +1,27 @@
+const linkTo = (req, params) => {
+  const query = new URLSearchParams()
+  Object.entries(req.query).forEach(([name, value]) => {
+    if (!['page', 'cursor'].includes(name) && !Array.isArray(value)) query.set(name, value)
+  })
+  Object.entries(params).forEach(([name, value]) => query.set(name, value))
+  const path = `${req.baseUrl}${req.path}`
+  return query.toString() ? `${path}?${query}` : path
+}
+
+// RFC 8288 relations for res.links(), following cursors for pages fetched by cursor and page numbers otherwise
+const pageLinks = (req, { page, totalPages, next, prev }) => {
+  const links = { first: linkTo(req, {}) }
+
+  if (page === undefined) {
+    if (prev) links.prev = linkTo(req, { cursor: prev })
+    if (next) links.next = linkTo(req, { cursor: next })
+    return links
+  }
+
+  if (page > 0 && totalPages > 0) links.prev = linkTo(req, { page: Math.min(page, totalPages) - 1 })
+  if (page + 1 < totalPages) links.next = linkTo(req, { page: page + 1 })
+  if (totalPages > 0) links.last = linkTo(req, { page: totalPages - 1 })
+  return links
+}
+
+module.exports = pageLinks
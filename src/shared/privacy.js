@@ -0,0 +1,33 @@
+const levels = ['everyone', 'authenticated', 'followers', 'nobody']
+
+// the e-mail stays hidden unless its owner decides otherwise, every other field is public by default
+const defaults = {
+  email: 'nobody',
+  displayName: 'everyone',
+  bio: 'everyone',
+  location: 'everyone',
+  website: 'everyone',
+  pronouns: 'everyone',
+}
+
+const fields = Object.keys(defaults)
+
+// only levels that differ from the defaults are stored, so new fields pick up their default for existing users
+const settingsOf = user => ({ ...defaults, ...(user.privacy ? JSON.parse(user.privacy) : {}) })
+
+const serialize = settings => {
+  const changed = {}
+  fields.forEach(field => {
+    if (settings[field] !== defaults[field]) changed[field] = settings[field]
+  })
+  return Object.keys(changed).length > 0 ? JSON.stringify(changed) : null
+}
+
+// `follower` holds only for approved follows
+const canSee = (level, { authenticated, follower }) =>
+  level === 'everyone' || (level === 'authenticated' && authenticated) || (level === 'followers' && follower)
+
+// followers-only fields would be open to anyone who follows, so such profiles and private ones take only follows their owner approves
+const requiresApproval = user => user.privateProfile || Object.values(settingsOf(user)).includes('followers')
+
+module.exports = { levels, fields, defaults, settingsOf, serialize, canSee, requiresApproval }
@@ -0,0 +1,31 @@
+const crypto = require('crypto')
+const config = require('config')
+
+const { encryptionKey, hashKey } = config.get('security')
+
+const key = crypto.createHash('sha256').update(encryptionKey).digest()
+
+const encrypt = text => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.')
+}
+
+const decrypt = payload => {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+  decipher.setAuthTag(authTag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+const hash = value => crypto.createHmac('sha256', hashKey).update(value).digest('hex')
+
+const matches = (value, hashedValue) => {
+  if (typeof value !== 'string' || typeof hashedValue !== 'string') return false
+  const hashed = Buffer.from(hash(value))
+  const expected = Buffer.from(hashedValue)
+  return hashed.length === expected.length && crypto.timingSafeEqual(hashed, expected)
+}
+
+module.exports = { encrypt, decrypt, hash, matches }
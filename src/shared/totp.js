@@ -0,0 +1,70 @@
+const crypto = require('crypto')
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP_IN_SECONDS = 30
+const DIGITS = 6
+
+const base32Encode = buffer => {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+const base32Decode = input => {
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of input.toUpperCase().replace(/=+$/, '')) {
+    value = (value << 5) | ALPHABET.indexOf(char)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+const counterAt = time => Math.floor(time / 1000 / STEP_IN_SECONDS)
+
+const generateCode = (secret, time = Date.now()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(counterAt(time)))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return code.toString().padStart(DIGITS, '0')
+}
+
+// Returns the time step the code belongs to, so callers can refuse to accept the same step twice.
+const verifyCode = (secret, code, window = 1) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code)) return null
+  const now = Date.now()
+  for (let step = -window; step <= window; step++) {
+    const time = now + step * STEP_IN_SECONDS * 1000
+    const expected = generateCode(secret, time)
+    if (expected.length === code.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counterAt(time)
+    }
+  }
+  return null
+}
+
+const keyUri = ({ secret, issuer, account }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_IN_SECONDS}`
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, generateCode, verifyCode, keyUri }
@@ -0,0 +1,29 @@
+// Names that could pass for the service or its staff, or clash with paths next to /users/:id.
+const reserved = [
+  'admin',
+  'administrator',
+  'api',
+  'auth',
+  'help',
+  'hoaxify',
+  'login',
+  'logout',
+  'me',
+  'moderator',
+  'null',
+  'root',
+  'settings',
+  'signup',
+  'support',
+  'system',
+  'undefined',
+  'user',
+  'users',
+]
+
+// Compatibility forms are folded as well as case, so look-alikes such as full-width letters count as the same name.
+const normalize = username => (typeof username === 'string' ? username.normalize('NFKC').trim().toLowerCase() : null)
+
+const isReserved = username => reserved.includes(normalize(username))
+
+module.exports = { reserved, normalize, isReserved }
@@ -0,0 +1,35 @@
+const Sequelize = require('sequelize')
+const sequelize = require('../config/db')
+
+const Model = Sequelize.Model
+
+class Attempt extends Model {}
+
+Attempt.init(
+  {
+    key: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
+    count: {
+      type: Sequelize.INTEGER,
+    },
+    locked: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    blockedUntil: {
+      type: Sequelize.DATE,
+    },
+    lastAttemptAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'attempt',
+    timestamps: false,
+  }
+)
+
+module.exports = Attempt
@@ -0,0 +1,29 @@
+const Sequelize = require('sequelize')
+const Attempt = require('./Attempt')
+
+const get = async key => {
+  const attempt = await Attempt.findOne({ where: { key } })
+  if (!attempt) return null
+  const { count, locked, blockedUntil, lastAttemptAt } = attempt
+  return { count, locked, blockedUntil: blockedUntil.getTime(), lastAttemptAt: lastAttemptAt.getTime() }
+}
+
+const save = async (key, attempt) => {
+  const { count, locked, blockedUntil, lastAttemptAt } = attempt
+  await Attempt.upsert({ key, count, locked, blockedUntil: new Date(blockedUntil), lastAttemptAt: new Date(lastAttemptAt) })
+}
+
+const remove = async key => {
+  await Attempt.destroy({ where: { key } })
+}
+
+const prune = async olderThan => {
+  const date = new Date(olderThan)
+  await Attempt.destroy({ where: { lastAttemptAt: { [Sequelize.Op.lt]: date }, blockedUntil: { [Sequelize.Op.lt]: date } } })
+}
+
+const clear = async () => {
+  await Attempt.destroy({ truncate: true })
+}
+
+module.exports = { get, save, remove, prune, clear }
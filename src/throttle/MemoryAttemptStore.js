@@ -0,0 +1,26 @@
+const attempts = new Map()
+
+const get = async key => {
+  const attempt = attempts.get(key)
+  return attempt ? { ...attempt } : null
+}
+
+const save = async (key, attempt) => {
+  attempts.set(key, { ...attempt })
+}
+
+const remove = async key => {
+  attempts.delete(key)
+}
+
+const prune = async olderThan => {
+  for (const [key, attempt] of attempts) {
+    if (attempt.lastAttemptAt < olderThan && attempt.blockedUntil < olderThan) attempts.delete(key)
+  }
+}
+
+const clear = async () => {
+  attempts.clear()
+}
+
+module.exports = { get, save, remove, prune, clear }
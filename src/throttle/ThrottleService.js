@@ -0,0 +1,53 @@
+const config = require('config')
+const TooManyRequestsException = require('../error/TooManyRequestsException')
+
+const stores = {
+  memory: require('./MemoryAttemptStore'),
+  database: require('./DatabaseAttemptStore'),
+}
+
+const store = stores[config.get('throttle.store')]
+
+const check = async (key, lockMessage = 'too_many_attempts') => {
+  const attempt = await store.get(key)
+  const now = Date.now()
+  if (!attempt || attempt.blockedUntil <= now) return
+
+  const retryAfter = Math.ceil((attempt.blockedUntil - now) / 1000)
+  throw new TooManyRequestsException(attempt.locked ? lockMessage : 'too_many_attempts', retryAfter)
+}
+
+// Counts an attempt against the policy. Attempts past `freeAttempts` block the key for an exponentially
+// growing delay; reaching `maxAttempts` locks it for `blockDuration` and starts counting from scratch.
+const registerAttempt = async (key, policy) => {
+  const { window, freeAttempts, baseDelay, maxAttempts, blockDuration } = policy
+  const now = Date.now()
+  const attempt = await store.get(key)
+  const count = attempt && now - attempt.lastAttemptAt < window ? attempt.count + 1 : 1
+
+  if (count >= maxAttempts) {
+    await store.save(key, { count: 0, locked: true, blockedUntil: now + blockDuration, lastAttemptAt: now })
+    return { locked: true }
+  }
+
+  const delay = count > freeAttempts ? baseDelay * 2 ** (count - freeAttempts - 1) : 0
+  await store.save(key, { count, locked: false, blockedUntil: now + delay, lastAttemptAt: now })
+  return { locked: false }
+}
+
+const reset = async key => {
+  await store.remove(key)
+}
+
+const clear = async () => {
+  await store.clear()
+}
+
+const scheduleCleanup = () => {
+  setInterval(async () => {
+    const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000
+    await store.prune(oneDayAgo)
+  }, 60 * 60 * 1000)
+}
+
+module.exports = { check, registerAttempt, reset, clear, scheduleCleanup }
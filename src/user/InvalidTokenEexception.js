@@ -1,4 +1,4 @@
-module.exports = function EmailException() {
-  this.message = 'account_activation_failure'
+module.exports = function InvalidTokenException(message = 'account_activation_failure') {
+  this.message = message
   this.status = 400
 }
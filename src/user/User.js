@@ -1,6 +1,10 @@
 const Sequelize = require('sequelize')
 const Token = require('../auth/Token')
+const ApiKey = require('../auth/ApiKey')
+const Follow = require('../follow/Follow')
+const Restriction = require('../restriction/Restriction')
 const sequelize = require('../config/db')
+const { normalize } = require('../shared/username')
 
 const Model = Sequelize.Model
 
@@ -11,6 +15,10 @@ User.init(
     username: {
       type: Sequelize.STRING,
     },
+    normalizedUsername: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
     email: {
       type: Sequelize.STRING,
       unique: true,
@@ -21,16 +29,105 @@ User.init(
     activationToken: {
       type: Sequelize.STRING,
     },
+    activationTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
     passwordResetToken: {
       type: Sequelize.STRING,
     },
+    passwordResetTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
     image: {
       type: Sequelize.STRING,
     },
+    displayName: {
+      type: Sequelize.STRING,
+    },
+    bio: {
+      type: Sequelize.TEXT,
+    },
+    location: {
+      type: Sequelize.STRING,
+    },
+    website: {
+      type: Sequelize.STRING,
+    },
+    pronouns: {
+      type: Sequelize.STRING,
+    },
+    privacy: {
+      type: Sequelize.TEXT,
+    },
+    privateProfile: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
     inactive: {
       type: Sequelize.BOOLEAN,
       defaultValue: true,
     },
+    role: {
+      type: Sequelize.STRING,
+      defaultValue: 'user',
+    },
+    deactivatedAt: {
+      type: Sequelize.DATE,
+    },
+    // the user's own id when they took a break themselves, an admin's id otherwise
+    deactivatedBy: {
+      type: Sequelize.INTEGER,
+    },
+    deletionRequestedAt: {
+      type: Sequelize.DATE,
+    },
+    restoreToken: {
+      type: Sequelize.STRING,
+    },
+    unlockToken: {
+      type: Sequelize.STRING,
+    },
+    twoFactorEnabled: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    twoFactorSecret: {
+      type: Sequelize.STRING,
+    },
+    twoFactorLastUsedStep: {
+      type: Sequelize.INTEGER,
+    },
+    twoFactorRecoveryCodes: {
+      type: Sequelize.TEXT,
+    },
+    twoFactorChallenge: {
+      type: Sequelize.STRING,
+    },
+    twoFactorChallengeExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    twoFactorChallengeAttempts: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+    },
+    magicLinkToken: {
+      type: Sequelize.STRING,
+    },
+    magicLinkExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    pendingEmail: {
+      type: Sequelize.STRING,
+    },
+    emailChangeToken: {
+      type: Sequelize.STRING,
+    },
+    emailChangeCancelToken: {
+      type: Sequelize.STRING,
+    },
+    emailChangeExpiresAt: {
+      type: Sequelize.DATE,
+    },
   },
   {
     sequelize,
@@ -38,6 +135,19 @@ User.init(
   }
 )
 
+// lookups and the unique constraint go through the normalized form, the username keeps the case it was typed in
+User.beforeSave(user => {
+  if (user.changed('username')) user.normalizedUsername = normalize(user.username)
+})
+
 User.hasMany(Token, { onDelete: 'cascade', foreignKey: 'userId' })
+User.hasMany(ApiKey, { onDelete: 'cascade', foreignKey: 'userId' })
+User.hasMany(Follow, { as: 'following', onDelete: 'cascade', foreignKey: 'followerId' })
+User.hasMany(Follow, { as: 'followers', onDelete: 'cascade', foreignKey: 'followeeId' })
+Follow.belongsTo(User, { as: 'follower', onDelete: 'cascade', foreignKey: 'followerId' })
+Follow.belongsTo(User, { as: 'followee', onDelete: 'cascade', foreignKey: 'followeeId' })
+User.hasMany(Restriction, { as: 'restrictions', onDelete: 'cascade', foreignKey: 'userId' })
+User.hasMany(Restriction, { as: 'restrictedBy', onDelete: 'cascade', foreignKey: 'targetId' })
+Restriction.belongsTo(User, { as: 'target', onDelete: 'cascade', foreignKey: 'targetId' })
 
 module.exports = User
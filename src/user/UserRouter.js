@@ -1,18 +1,79 @@
 const express = require('express')
 const UserService = require('./UserService')
-const { check, validationResult } = require('express-validator')
+const { check, query, validationResult } = require('express-validator')
 const ValidationException = require('../error/ValidationException')
 const ForbiddenException = require('../error/ForbiddenException')
 const pagination = require('../middleware/pagination')
-const tokenAuthentication = require('../middleware/tokenAuthentication')
+const pageLinks = require('../shared/pageLinks')
+const { authentication } = require('../middleware/authentication')
+const authorize = require('../middleware/authorization')
+const restrictScope = require('../middleware/scopeRestriction')
 const TokenService = require('../auth/TokenService')
 const NotFoundException = require('../error/NotFoundException')
 const User = require('./User')
 const FileService = require('../file/FileService')
+const AuditService = require('../audit/AuditService')
+const { isReserved } = require('../shared/username')
+const privacy = require('../shared/privacy')
 
 const router = express.Router()
 
-const checkUsername = check('username').notEmpty().withMessage('username_null').bail().isLength({ min: 4, max: 32 }).withMessage('username_size')
+const authenticate = authentication('bearer', 'basic')
+const authenticateWithApiKey = authentication('bearer', 'basic', 'apiKey')
+
+// a user keeping their current name passes even if it was reserved after they took it
+const checkAvailability = async (username, { req }) => {
+  const user = await UserService.findByUsername(username)
+  if (user && user.id == req.params.id) return true
+  if (user) throw new Error('username_in_use')
+  if (isReserved(username)) throw new Error('username_reserved')
+  return true
+}
+
+const checkUsername = check('username')
+  .notEmpty()
+  .withMessage('username_null')
+  .bail()
+  .isLength({ min: 4, max: 32 })
+  .withMessage('username_size')
+  .bail()
+  .custom(checkAvailability)
+
+const checkOptionalUsername = check('username').optional().isLength({ min: 4, max: 32 }).withMessage('username_size').bail().custom(checkAvailability)
+
+const checkProfileText = (field, max, message) =>
+  check(field).optional({ checkFalsy: true }).isString().withMessage(message).bail().trim().isLength({ max }).withMessage(message)
+
+const checkProfile = [
+  checkProfileText('displayName', 64, 'display_name_size'),
+  checkProfileText('bio', 500, 'bio_size'),
+  checkProfileText('location', 64, 'location_size'),
+  checkProfileText('pronouns', 32, 'pronouns_size'),
+  check('website')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('website_invalid')
+    .bail()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('website_invalid')
+    .bail()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('website_invalid'),
+]
+
+const checkImage = check('image').custom(async imageAsBase64String => {
+  if (!imageAsBase64String) return true
+
+  const buffer = Buffer.from(imageAsBase64String, 'base64')
+
+  if (!FileService.isLessThan2Mb(buffer)) throw new Error('profile_image_size')
+
+  const supportedType = await FileService.isSupportedFileType(buffer)
+  if (!supportedType) throw new Error('unsupported_image_file')
+
+  return true
+})
 
 const checkEmail = check('email')
   .notEmpty()
@@ -38,16 +99,41 @@ const checkPassword = check('password')
   .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
   .withMessage('password_pattern')
 
+const checkCurrentPassword = check('currentPassword')
+  .notEmpty()
+  .withMessage('password_null')
+  .bail()
+  .custom(async (currentPassword, { req }) => {
+    const match = await UserService.verifyPassword(req.params.id, currentPassword)
+    if (!match) {
+      throw new Error('password_incorrect')
+    }
+  })
+
 router.post('/api/1.0/users/token/:token', async (req, res, next) => {
   const { token } = req.params
   try {
-    await UserService.activate(token)
+    await UserService.activate(token, AuditService.contextOf(req))
     res.send({ message: req.t('account_activation_success') })
   } catch (error) {
     next(error)
   }
 })
 
+router.post('/api/1.0/users/activation', check('email').isEmail().withMessage('email_invalid'), async (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()))
+  }
+
+  try {
+    await UserService.resendActivation(req.body.email, AuditService.contextOf(req))
+    res.send({ message: req.t('activation_resend_success') })
+  } catch (error) {
+    next(error)
+  }
+})
+
 router.post('/api/1.0/users/', checkUsername, checkEmail, checkPassword, async (req, res, next) => {
   const errors = validationResult(req)
 
@@ -65,66 +151,224 @@ router.post('/api/1.0/users/', checkUsername, checkEmail, checkPassword, async (
   }
 })
 
-router.get('/api/1.0/users/', pagination, async (req, res) => {
-  const { authenticatedUser } = req
-  const { page, size } = req.pagination
-  const users = await UserService.getUsers(page, size, authenticatedUser)
-  res.send(users)
+router.get(
+  '/api/1.0/users/',
+  authenticateWithApiKey,
+  restrictScope('users:read'),
+  pagination,
+  query('search').optional().isString().withMessage('user_search_size').bail().isLength({ min: 1, max: 32 }).withMessage('user_search_size'),
+  query('match').optional().isIn(['prefix', 'substring']).withMessage('user_match_invalid'),
+  query('hasImage').optional().isBoolean().withMessage('user_has_image_invalid').bail().toBoolean(true),
+  query('createdFrom').optional().isISO8601().withMessage('user_created_invalid'),
+  query('createdTo').optional().isISO8601().withMessage('user_created_invalid'),
+  query('sort').optional().isIn(['username', 'newest']).withMessage('user_sort_invalid'),
+  async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()))
+    }
+
+    const { authenticatedUser } = req
+    const { page, size, cursor } = req.pagination
+    const { search, match, hasImage, createdFrom, createdTo, sort } = req.query
+    try {
+      const users = await UserService.getUsers(page, size, authenticatedUser, { search, match, hasImage, createdFrom, createdTo, sort, cursor })
+      res.links(pageLinks(req, users))
+      res.send(users)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+router.get('/api/1.0/users/by-username/:username', authenticateWithApiKey, restrictScope('users:read'), async (req, res, next) => {
+  try {
+    const user = await UserService.getUserByUsername(req.params.username, req.authenticatedUser)
+    return res.send(user)
+  } catch (error) {
+    next(error)
+  }
 })
 
-router.get('/api/1.0/users/:id', async (req, res, next) => {
+router.get('/api/1.0/usernames/:username/availability', checkUsername, (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.send({ available: false, message: req.t(errors.array()[0].msg) })
+  }
+
+  res.send({ available: true })
+})
+
+router.get('/api/1.0/users/:id', authenticateWithApiKey, restrictScope('users:read'), async (req, res, next) => {
   const { id } = req.params
   try {
-    const user = await UserService.getUser(id)
+    const user = await UserService.getUser(id, req.authenticatedUser)
     return res.send(user)
   } catch (error) {
     next(error)
   }
 })
 
-router.put(
-  '/api/1.0/users/:id',
-  checkUsername,
-  check('image').custom(async imageAsBase64String => {
-    if (!imageAsBase64String) return true
+const updateUser = async (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()))
+  }
 
-    const buffer = Buffer.from(imageAsBase64String, 'base64')
+  try {
+    const user = await UserService.updateUser(req.params.id, req.body, AuditService.contextOf(req))
+    return res.send(user)
+  } catch (error) {
+    next(error)
+  }
+}
 
-    if (!FileService.isLessThan2Mb(buffer)) throw new Error('profile_image_size')
+const authorizeUpdate = authorize({ permission: 'users:update', scope: 'profile:write', message: 'unauthorized_user_update' })
 
-    const supportedType = await FileService.isSupportedFileType(buffer)
-    if (!supportedType) throw new Error('unsupported_image_file')
+router.put('/api/1.0/users/:id', authenticateWithApiKey, authorizeUpdate, checkUsername, checkProfile, checkImage, updateUser)
 
-    return true
-  }),
+router.patch('/api/1.0/users/:id', authenticateWithApiKey, authorizeUpdate, checkOptionalUsername, checkProfile, checkImage, updateUser)
+
+const authorizePrivacy = authorize({ permission: 'users:update', message: 'unauthorized_privacy_access' })
+
+router.get('/api/1.0/users/:id/privacy', authenticate, authorizePrivacy, async (req, res, next) => {
+  try {
+    res.send(await UserService.getPrivacy(req.params.id))
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.patch(
+  '/api/1.0/users/:id/privacy',
+  authenticate,
+  authorizePrivacy,
+  check('privateProfile').optional().isBoolean().withMessage('private_profile_invalid').bail().toBoolean(true),
+  check('fields')
+    .optional()
+    .custom(fields => {
+      const valid =
+        typeof fields === 'object' &&
+        fields !== null &&
+        !Array.isArray(fields) &&
+        Object.entries(fields).every(([field, level]) => privacy.fields.includes(field) && privacy.levels.includes(level))
+      if (!valid) throw new Error('privacy_fields_invalid')
+      return true
+    }),
   async (req, res, next) => {
-    const { authenticatedUser } = req
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()))
+    }
+
+    try {
+      const settings = await UserService.updatePrivacy(req.params.id, req.body, AuditService.contextOf(req))
+      res.send(settings)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+router.delete('/api/1.0/users/:id', authenticate, authorize({ permission: 'users:delete', message: 'unauthorized_user_delete' }), async (req, res) => {
+  await UserService.deleteUser(req.params.id, AuditService.contextOf(req))
+
+  res.send()
+})
+
+router.post('/api/1.0/user/restore/:token', async (req, res, next) => {
+  try {
+    await UserService.restoreUser(req.params.token, AuditService.contextOf(req))
+    res.send({ message: req.t('account_restore_success') })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (!authenticatedUser || authenticatedUser.id != req.params.id) {
-      return next(new ForbiddenException('unauthorized_user_update'))
+router.post(
+  '/api/1.0/users/:id/deactivate',
+  authenticate,
+  authorize({ permission: 'users:deactivate', message: 'unauthorized_user_deactivate' }),
+  async (req, res, next) => {
+    try {
+      await UserService.deactivateUser(req.params.id, req.authenticatedUser.id, AuditService.contextOf(req))
+      res.send({ message: req.t('user_deactivate_success') })
+    } catch (error) {
+      next(error)
     }
+  }
+)
 
+router.post(
+  '/api/1.0/users/:id/email',
+  authenticate,
+  authorize({ message: 'unauthorized_email_change' }),
+  checkEmail,
+  checkCurrentPassword,
+  async (req, res, next) => {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
       return next(new ValidationException(errors.array()))
     }
 
-    const user = await UserService.updateUser(req.params.id, req.body)
-    return res.send(user)
+    try {
+      await UserService.requestEmailChange(req.params.id, req.body.email, AuditService.contextOf(req))
+      res.send({ message: req.t('email_change_request_success') })
+    } catch (error) {
+      next(error)
+    }
   }
 )
 
-router.delete('/api/1.0/users/:id', async (req, res, next) => {
-  const { authenticatedUser } = req
+router.post('/api/1.0/user/email/:token', authenticate, async (req, res, next) => {
+  try {
+    await UserService.confirmEmailChange(req.params.token, req.authenticatedUser, AuditService.contextOf(req))
+    res.send({ message: req.t('email_change_success') })
+  } catch (error) {
+    next(error)
+  }
+})
 
-  if (!authenticatedUser || authenticatedUser.id != req.params.id) {
-    return next(new ForbiddenException('unauthorized_user_delete'))
+router.post('/api/1.0/user/email/:token/cancel', async (req, res, next) => {
+  try {
+    await UserService.cancelEmailChange(req.params.token, AuditService.contextOf(req))
+    res.send({ message: req.t('email_change_cancel_success') })
+  } catch (error) {
+    next(error)
   }
+})
 
-  await UserService.deleteUser(req.params.id)
+router.put(
+  '/api/1.0/users/:id/password',
+  authentication('bearer'),
+  authorize({ message: 'unauthorized_password_change' }),
+  checkCurrentPassword,
+  checkPassword,
+  check('password').custom(async (password, { req }) => {
+    const unchanged = await UserService.verifyPassword(req.params.id, password)
+    if (unchanged) {
+      throw new Error('password_unchanged')
+    }
+  }),
+  async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()))
+    }
 
-  res.send()
-})
+    try {
+      const { token, refreshToken } = await UserService.changePassword(
+        req.params.id,
+        req.body.password,
+        req.authenticatedUser.tokenId,
+        AuditService.contextOf(req)
+      )
+      res.send({ message: req.t('password_change_success'), token, refreshToken })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
 
 router.post('/api/1.0/user/password', check('email').isEmail().withMessage('email_invalid'), async (req, res, next) => {
   const { email } = req.body
@@ -134,7 +378,7 @@ router.post('/api/1.0/user/password', check('email').isEmail().withMessage('emai
   }
 
   try {
-    await UserService.passwordResetRequest(email)
+    await UserService.passwordResetRequest(email, AuditService.contextOf(req))
     res.send({ message: req.t('password_reset_request_success') })
   } catch (error) {
     next(error)
@@ -145,7 +389,7 @@ const passwordResetTokenValidator = async (req, res, next) => {
   const { passwordResetToken } = req.body
   const user = await UserService.findByPasswordResetToken(passwordResetToken)
   if (!user) {
-    next(new ForbiddenException('unauthorized_password_reset'))
+    return next(new ForbiddenException('unauthorized_password_reset'))
   }
   next()
 }
@@ -156,9 +400,12 @@ router.put('/api/1.0/user/password', passwordResetTokenValidator, checkPassword,
     return next(new ValidationException(errors.array()))
   }
 
-  await UserService.updatePassword({ passwordResetToken, password })
-
-  res.send()
+  try {
+    await UserService.updatePassword({ passwordResetToken, password }, AuditService.contextOf(req))
+    res.send()
+  } catch (error) {
+    next(error)
+  }
 })
 
 module.exports = router
@@ -1,4 +1,5 @@
 const bcrypt = require('bcrypt')
+const config = require('config')
 const crypto = require('crypto')
 const Sequelize = require('sequelize')
 const EmailService = require('../email/EmailService')
@@ -6,24 +7,83 @@ const EmailException = require('../email/EmailException')
 const sequelize = require('../config/db')
 
 const User = require('./User')
+const Follow = require('../follow/Follow')
+const FollowService = require('../follow/FollowService')
+const Restriction = require('../restriction/Restriction')
+const RestrictionService = require('../restriction/RestrictionService')
 const TokenService = require('../auth/TokenService')
+const ApiKeyService = require('../auth/ApiKeyService')
+const TwoFactorService = require('../auth/TwoFactorService')
+const ThrottleService = require('../throttle/ThrottleService')
+const AuditService = require('../audit/AuditService')
 const FileService = require('../file/FileService')
 const InvalidTokenEexception = require('./InvalidTokenEexception')
 const NotFoundException = require('../error/NotFoundException')
+const ForbiddenException = require('../error/ForbiddenException')
+const ValidationException = require('../error/ValidationException')
 const { randomString } = require('../shared/generator')
+const { hash, matches } = require('../shared/secret')
+const { encode: encodeCursor } = require('../shared/cursor')
+const { normalize } = require('../shared/username')
+const privacy = require('../shared/privacy')
+
+const { emailChangeLifetime, activationTokenLifetime, passwordResetTokenLifetime, emailThrottle } = config.get('auth')
+const { gracePeriod } = config.get('deletion')
+
+// Every e-mail sending request counts against both the address and the caller's IP,
+// so neither a single inbox nor many inboxes can be flooded from one place.
+const throttleEmail = async (action, email, ip) => {
+  const emailKey = `${action}:email:${String(email).toLowerCase()}`
+  const ipKey = `${action}:ip:${ip}`
+  await ThrottleService.check(ipKey)
+  await ThrottleService.check(emailKey)
+  await ThrottleService.registerAttempt(ipKey, emailThrottle.ip)
+  await ThrottleService.registerAttempt(emailKey, emailThrottle.email)
+}
+
+const sendWithoutDisclosure = async send => {
+  try {
+    await send()
+  } catch (error) {
+    // failing here would tell the caller that an account is registered with the e-mail
+  }
+}
+
+const activationTokenExpiry = () => new Date(Date.now() + activationTokenLifetime)
+
+// the validators check username and e-mail first, the unique indexes still settle two requests racing for the same one
+const uniqueFieldErrors = {
+  normalizedUsername: { param: 'username', msg: 'username_in_use' },
+  email: { param: 'email', msg: 'email_in_use' },
+}
+
+// sqlite reports the conflicting columns as a list, postgres and mysql as an object keyed by column
+const toUniqueFieldError = error => {
+  const fields = Array.isArray(error.fields) ? error.fields : Object.keys(error.fields || {})
+  const field = fields.find(name => uniqueFieldErrors[name])
+  return field ? new ValidationException([uniqueFieldErrors[field]]) : error
+}
 
 const save = async body => {
   const { username, email, password } = body
-  const hash = await bcrypt.hash(password, 10)
-  const user = { username, email, password: hash, activationToken: randomString(16) }
+  const passwordHash = await bcrypt.hash(password, 10)
+  const activationToken = randomString(16)
+  const user = {
+    username,
+    email,
+    password: passwordHash,
+    activationToken: hash(activationToken),
+    activationTokenExpiresAt: activationTokenExpiry(),
+  }
 
   const transaction = await sequelize.transaction()
   try {
     await User.create(user, { transaction })
-    await EmailService.sendActivationToken(email, user.activationToken)
+    await EmailService.sendActivationToken(email, activationToken)
     await transaction.commit()
   } catch (error) {
     await transaction.rollback()
+    if (error instanceof Sequelize.UniqueConstraintError) throw toUniqueFieldError(error)
     throw new EmailException()
   }
 }
@@ -33,40 +93,263 @@ const findByEmail = async email => {
   return user
 }
 
-const activate = async token => {
-  const user = await User.findOne({ where: { activationToken: token } })
-  if (!user) throw new InvalidTokenEexception()
+const findByUsername = async username => {
+  const user = await User.findOne({ where: { normalizedUsername: normalize(username) } })
+  return user
+}
+
+const activate = async (token, context) => {
+  const user = await User.findOne({ where: { activationToken: hash(token) } })
+  if (!user || !matches(token, user.activationToken)) throw new InvalidTokenEexception()
+  if (!user.activationTokenExpiresAt || user.activationTokenExpiresAt.getTime() <= Date.now()) {
+    throw new InvalidTokenEexception('account_activation_expired')
+  }
   user.inactive = false
   user.activationToken = null
+  user.activationTokenExpiresAt = null
+  await user.save()
+  await AuditService.record('account_activated', { ...context, targetId: user.id })
+}
+
+const resendActivation = async (email, context) => {
+  await throttleEmail('activation', email, context.ip)
+
+  const user = await User.findOne({ where: { email, inactive: true } })
+  if (!user) return
+
+  const activationToken = randomString(16)
+  user.activationToken = hash(activationToken)
+  user.activationTokenExpiresAt = activationTokenExpiry()
   await user.save()
+  await sendWithoutDisclosure(() => EmailService.sendActivationToken(email, activationToken))
+}
+
+const userSorts = {
+  id: { keys: ['id'], direction: 'ASC' },
+  // usernames sort the way search matches them, without regard to case
+  username: { keys: ['normalizedUsername', 'id'], direction: 'ASC' },
+  newest: { keys: ['createdAt', 'id'], direction: 'DESC' },
+}
+
+const cursorValueCheckers = {
+  id: value => Number.isInteger(value),
+  normalizedUsername: value => typeof value === 'string',
+  createdAt: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+}
+
+const orderOf = ({ keys, direction }, reversed = false) => {
+  const order = reversed ? { ASC: 'DESC', DESC: 'ASC' }[direction] : direction
+  return keys.map(key => [key, order])
+}
+
+const cursorOf = (sort, user, direction) => encodeCursor({ sort, direction, values: userSorts[sort].keys.map(key => user[key]) })
+
+const isValidCursor = (sort, cursor) => {
+  const { keys } = userSorts[sort]
+  return cursor.sort === sort && cursor.values.length === keys.length && keys.every((key, i) => cursorValueCheckers[key](cursor.values[i]))
+}
+
+// rows strictly past the cursor row in the direction of the cursor, comparing the sort keys one after another
+const keysetCondition = ({ keys, direction }, cursor) => {
+  const ascending = (direction === 'ASC') === (cursor.direction === 'next')
+  const operator = ascending ? Sequelize.Op.gt : Sequelize.Op.lt
+  const values = cursor.values.map((value, i) => (keys[i] === 'createdAt' ? new Date(value) : value))
+  return {
+    [Sequelize.Op.or]: keys.map((key, i) => {
+      const condition = { [key]: { [operator]: values[i] } }
+      keys.slice(0, i).forEach((previous, j) => {
+        condition[previous] = values[j]
+      })
+      return condition
+    }),
+  }
 }
 
-const getUsers = async (page, size, authenticatedUser) => {
+const profileAttributes = ['id', 'username', 'email', 'image', 'displayName', 'bio', 'location', 'website', 'pronouns']
+
+// fields a client may change one by one, empty values clear them
+const editableFields = ['username', 'displayName', 'bio', 'location', 'website', 'pronouns']
+
+const toProfile = user => {
+  const profile = {}
+  profileAttributes.forEach(attribute => {
+    profile[attribute] = user[attribute]
+  })
+  return profile
+}
+
+// privacy settings are read along with the profile to shape it for the viewer but never sent themselves
+const storedProfileAttributes = [...profileAttributes, 'privacy']
+
+const userListAttributes = [...storedProfileAttributes, 'normalizedUsername', 'createdAt']
+
+// the owner sees the whole profile, anyone else only the fields its privacy settings open to them
+const toProfilesFor = async (users, authenticatedUser) => {
+  const followed = authenticatedUser
+    ? await FollowService.followedAmong(
+        authenticatedUser.id,
+        users.map(user => user.id)
+      )
+    : []
+  return users.map(user => {
+    const profile = toProfile(user)
+    if (authenticatedUser && authenticatedUser.id === user.id) return profile
+
+    const settings = privacy.settingsOf(user)
+    const viewer = { authenticated: Boolean(authenticatedUser), follower: followed.includes(user.id) }
+    privacy.fields.forEach(field => {
+      if (!privacy.canSee(settings[field], viewer)) delete profile[field]
+    })
+    return profile
+  })
+}
+
+const activeUser = { inactive: false, deactivatedAt: null, deletionRequestedAt: null }
+
+// every lookup shown to a signed in user leaves out those on either side of a block with them
+const hiddenFrom = async authenticatedUser => (authenticatedUser ? RestrictionService.blockedIds(authenticatedUser.id) : [])
+
+const excluding = ids => (ids.length > 0 ? { id: { [Sequelize.Op.notIn]: ids } } : {})
+
+// % and _ typed by the user are matched literally, not as wildcards
+const likePattern = term => term.toLowerCase().replace(/[\\%_]/g, character => `\\${character}`)
+
+const usernameMatching = (search, match) => {
+  const pattern = match === 'prefix' ? `${likePattern(search)}%` : `%${likePattern(search)}%`
+  return Sequelize.where(Sequelize.fn('lower', Sequelize.col('username')), Sequelize.Op.like, Sequelize.literal(`${sequelize.escape(pattern)} ESCAPE '\\'`))
+}
+
+const getUsersByCursor = async (size, cursor, sort, where, authenticatedUser) => {
+  if (!isValidCursor(sort, cursor)) throw new ValidationException([{ param: 'cursor', msg: 'pagination_cursor_invalid' }])
+
+  const backwards = cursor.direction === 'prev'
+  const rows = await User.findAll({
+    where: { ...where, [Sequelize.Op.and]: [...(where[Sequelize.Op.and] || []), keysetCondition(userSorts[sort], cursor)] },
+    attributes: userListAttributes,
+    order: orderOf(userSorts[sort], backwards),
+    limit: size + 1,
+  })
+  const count = await User.count({ where })
+
+  const hasMore = rows.length > size
+  const users = rows.slice(0, size)
+  if (backwards) users.reverse()
+  const [first, last] = [users[0], users[users.length - 1]]
+
+  return {
+    content: await toProfilesFor(users, authenticatedUser),
+    size,
+    totalPages: Math.ceil(count / size),
+    next: last && (backwards || hasMore) ? cursorOf(sort, last, 'next') : undefined,
+    prev: first && (!backwards || hasMore) ? cursorOf(sort, first, 'prev') : undefined,
+  }
+}
+
+const getUsers = async (page, size, authenticatedUser, { search, match, hasImage, createdFrom, createdTo, sort = 'id', cursor } = {}) => {
   const id = authenticatedUser ? authenticatedUser.id : 0
+  const where = { ...activeUser, privateProfile: false, ...excluding([id, ...(await hiddenFrom(authenticatedUser))]) }
+  if (search) where[Sequelize.Op.and] = [usernameMatching(search, match)]
+  if (hasImage !== undefined) where.image = hasImage ? { [Sequelize.Op.not]: null } : null
+  if (createdFrom || createdTo) {
+    where.createdAt = {}
+    if (createdFrom) where.createdAt[Sequelize.Op.gte] = new Date(createdFrom)
+    if (createdTo) where.createdAt[Sequelize.Op.lte] = new Date(createdTo)
+  }
+
+  if (cursor) return getUsersByCursor(size, cursor, sort, where, authenticatedUser)
+
   const usersWithCount = await User.findAndCountAll({
     limit: size,
-    where: { inactive: false, id: { [Sequelize.Op.not]: id } },
-    attributes: ['id', 'username', 'email', 'image'],
+    where,
+    attributes: userListAttributes,
+    order: orderOf(userSorts[sort]),
     offset: page * size,
   })
 
+  const users = usersWithCount.rows
+  const totalPages = Math.ceil(usersWithCount.count / size)
+  const [first, last] = [users[0], users[users.length - 1]]
+
   return {
-    content: usersWithCount.rows,
+    content: await toProfilesFor(users, authenticatedUser),
     page,
     size,
-    totalPages: Math.ceil(usersWithCount.count / size),
+    totalPages,
+    next: last && page + 1 < totalPages ? cursorOf(sort, last, 'next') : undefined,
+    prev: first && page > 0 ? cursorOf(sort, first, 'prev') : undefined,
   }
 }
 
-const getUser = async id => {
-  const user = await User.findOne({ where: { id, inactive: false }, attributes: ['id', 'username', 'email', 'image'] })
-  if (!user) throw new NotFoundException('user_not_found')
-  return user
+// `as` names the side of the relation listed, users who are no longer visible drop out of lists and counts alike
+const countFollows = (where, as) => Follow.count({ where, include: [{ model: User, as, where: activeUser, attributes: [] }] })
+
+const findProfile = async (where, authenticatedUser) => {
+  const hidden = await hiddenFrom(authenticatedUser)
+  const user = await User.findOne({
+    where: { ...where, ...activeUser },
+    attributes: storedProfileAttributes,
+  })
+  if (!user || hidden.includes(user.id)) throw new NotFoundException('user_not_found')
+  const followersCount = await countFollows({ followeeId: user.id, approved: true }, 'follower')
+  const followingCount = await countFollows({ followerId: user.id, approved: true }, 'followee')
+  const [profile] = await toProfilesFor([user], authenticatedUser)
+  return { ...profile, followersCount, followingCount }
 }
 
-const updateUser = async (id, body) => {
+const getUser = (id, authenticatedUser) => findProfile({ id }, authenticatedUser)
+
+const getUserByUsername = (username, authenticatedUser) => findProfile({ normalizedUsername: normalize(username) }, authenticatedUser)
+
+// pages through users on the `as` side of follows or restrictions
+const getRelatedPage = async (model, where, as, page, size, authenticatedUser, hidden = []) => {
+  const relationsWithCount = await model.findAndCountAll({
+    where,
+    include: [{ model: User, as, where: { ...activeUser, ...excluding(hidden) }, attributes: storedProfileAttributes }],
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit: size,
+    offset: page * size,
+  })
+
+  return {
+    content: await toProfilesFor(
+      relationsWithCount.rows.map(relation => relation[as]),
+      authenticatedUser
+    ),
+    page,
+    size,
+    totalPages: Math.ceil(relationsWithCount.count / size),
+  }
+}
+
+const getFollowPage = async (id, page, size, authenticatedUser, where, as) => {
+  const hidden = await hiddenFrom(authenticatedUser)
+  const user = await User.findOne({ where: { id, ...activeUser } })
+  if (!user || hidden.includes(user.id)) throw new NotFoundException('user_not_found')
+
+  return getRelatedPage(Follow, where, as, page, size, authenticatedUser, hidden)
+}
+
+const getFollowers = (id, page, size, authenticatedUser) => getFollowPage(id, page, size, authenticatedUser, { followeeId: id, approved: true }, 'follower')
+
+const getFollowing = (id, page, size, authenticatedUser) => getFollowPage(id, page, size, authenticatedUser, { followerId: id, approved: true }, 'followee')
+
+// follows still waiting for the approval of the followed user
+const getFollowRequests = (id, page, size, authenticatedUser) =>
+  getRelatedPage(Follow, { followeeId: id, approved: false }, 'follower', page, size, authenticatedUser)
+
+// blocked and muted users stay listed for the one who restricted them
+const getRestrictedUsers = (id, type, page, size, authenticatedUser) =>
+  getRelatedPage(Restriction, { userId: id, type }, 'target', page, size, authenticatedUser)
+
+const updateUser = async (id, body, context) => {
   const user = await User.findOne({ where: { id } })
-  user.username = body.username
+  if (!user) throw new NotFoundException('user_not_found')
+  editableFields.forEach(field => {
+    if (body[field] !== undefined) user[field] = body[field] || null
+  })
 
   if (body.image) {
     if (user.image) {
@@ -76,41 +359,266 @@ const updateUser = async (id, body) => {
     user.image = await FileService.saveProfileImage(body.image)
   }
 
+  try {
+    await user.save()
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) throw toUniqueFieldError(error)
+    throw error
+  }
+  await AuditService.record('user_updated', { ...context, targetId: user.id })
+  return toProfile(user)
+}
+
+const toPrivacySettings = user => ({ privateProfile: user.privateProfile, fields: privacy.settingsOf(user) })
+
+const getPrivacy = async id => {
+  const user = await User.findOne({ where: { id } })
+  if (!user) throw new NotFoundException('user_not_found')
+  return toPrivacySettings(user)
+}
+
+// fields left out of the request keep their current level
+const updatePrivacy = async (id, { privateProfile, fields = {} }, context) => {
+  const user = await User.findOne({ where: { id } })
+  if (!user) throw new NotFoundException('user_not_found')
+
+  if (privateProfile !== undefined) user.privateProfile = privateProfile
+  user.privacy = privacy.serialize({ ...privacy.settingsOf(user), ...fields })
   await user.save()
-  return { id, username: user.username, email: user.email, image: user.image }
+  await AuditService.record('privacy_updated', { ...context, targetId: user.id })
+  return toPrivacySettings(user)
 }
 
-const deleteUser = async id => {
-  await User.destroy({ where: { id } })
+const restoreDeadline = () => new Date(Date.now() - gracePeriod)
+
+const deleteUser = async (id, context) => {
+  const user = await User.findOne({ where: { id, deletionRequestedAt: null } })
+  if (!user) return
+
+  const restoreToken = randomString(32)
+  user.deletionRequestedAt = new Date()
+  user.restoreToken = hash(restoreToken)
+  await user.save()
+  await TokenService.clearTokens(user.id)
+  await ApiKeyService.clearKeys(user.id)
+  await TwoFactorService.clearChallenge(user.id)
+  await AuditService.record('user_deleted', { ...context, targetId: user.id })
+  try {
+    await EmailService.sendAccountRestore(user.email, restoreToken)
+  } catch (error) {
+    // the deletion stands either way, without the e-mail the account is just purged when the grace period ends
+  }
 }
 
-const passwordResetRequest = async email => {
-  const user = await findByEmail(email)
-  if (!user) {
-    throw new NotFoundException('email_not_in_use')
+const restoreUser = async (token, context) => {
+  const user = token && (await User.findOne({ where: { restoreToken: hash(token), deletionRequestedAt: { [Sequelize.Op.gt]: restoreDeadline() } } }))
+  if (!user || !matches(token, user.restoreToken)) throw new InvalidTokenEexception('account_restore_failure')
+
+  const [count] = await User.update({ deletionRequestedAt: null, restoreToken: null }, { where: { id: user.id, restoreToken: user.restoreToken } })
+  if (count === 0) throw new InvalidTokenEexception('account_restore_failure')
+  await AuditService.record('user_restored', { ...context, targetId: user.id })
+}
+
+const purge = async () => {
+  const users = await User.findAll({ where: { deletionRequestedAt: { [Sequelize.Op.lte]: restoreDeadline() } } })
+  for (const user of users) {
+    await FileService.deleteUserFiles(user)
+    await TokenService.clearTokens(user.id)
+    await FollowService.clearFollows(user.id)
+    await user.destroy()
+    await AuditService.record('user_purged', { targetId: user.id })
   }
-  user.passwordResetToken = randomString(16)
+}
+
+const scheduleCleanup = () => {
+  setInterval(purge, 60 * 60 * 1000)
+}
+
+const deactivateUser = async (id, deactivatedBy, context) => {
+  const user = await User.findOne({ where: { id } })
+  if (!user) throw new NotFoundException('user_not_found')
+  user.deactivatedAt = new Date()
+  user.deactivatedBy = deactivatedBy
+  await user.save()
+  await TokenService.clearTokens(user.id)
+  await ApiKeyService.clearKeys(user.id)
+  await TwoFactorService.clearChallenge(user.id)
+  await AuditService.record('user_deactivated', { ...context, targetId: user.id })
+}
+
+const isSelfDeactivated = user => Boolean(user.deactivatedAt) && user.deactivatedBy === user.id
+
+// only a deactivation the user chose themselves can be undone by signing in
+const reactivateUser = async (user, context) => {
+  const [count] = await User.update({ deactivatedAt: null, deactivatedBy: null }, { where: { id: user.id, deactivatedBy: user.id } })
+  if (count === 0) throw new ForbiddenException('deactivated_authentication_failure')
+  user.deactivatedAt = null
+  user.deactivatedBy = null
+  await AuditService.record('user_reactivated', { ...context, targetId: user.id })
+}
+
+const passwordResetRequest = async (email, context) => {
+  await throttleEmail('password-reset', email, context.ip)
+
+  const user = await findByEmail(email)
+  await AuditService.record('password_reset_requested', { ...context, targetId: user ? user.id : null, details: { email } })
+  if (!user) return
+
+  const passwordResetToken = randomString(32)
+  user.passwordResetToken = hash(passwordResetToken)
+  user.passwordResetTokenExpiresAt = new Date(Date.now() + passwordResetTokenLifetime)
+  await user.save()
+  await sendWithoutDisclosure(() => EmailService.sendPasswordReset(email, passwordResetToken))
+}
+
+const findByPasswordResetToken = async passwordResetToken => {
+  if (typeof passwordResetToken !== 'string') return null
+  const user = await User.findOne({
+    where: { passwordResetToken: hash(passwordResetToken), passwordResetTokenExpiresAt: { [Sequelize.Op.gt]: new Date() } },
+  })
+  return user && matches(passwordResetToken, user.passwordResetToken) ? user : null
+}
+
+const updatePassword = async ({ passwordResetToken, password }, context) => {
+  const user = await findByPasswordResetToken(passwordResetToken)
+  if (!user) throw new ForbiddenException('unauthorized_password_reset')
+
+  const passwordHash = await bcrypt.hash(password, 10)
+  // matching the token in the update itself lets only one of concurrent requests use it
+  const [count] = await User.update(
+    {
+      password: passwordHash,
+      passwordResetToken: null,
+      passwordResetTokenExpiresAt: null,
+      inactive: false,
+      activationToken: null,
+      activationTokenExpiresAt: null,
+    },
+    { where: { id: user.id, passwordResetToken: user.passwordResetToken } }
+  )
+  if (count === 0) throw new ForbiddenException('unauthorized_password_reset')
+
+  await TokenService.clearTokens(user.id)
+  await AuditService.record('password_reset_completed', { ...context, targetId: user.id })
+}
+
+const verifyPassword = async (id, password) => {
+  const user = await User.findOne({ where: { id } })
+  return Boolean(user) && typeof password === 'string' && (await bcrypt.compare(password, user.password))
+}
+
+const clearEmailChange = user => {
+  user.pendingEmail = null
+  user.emailChangeToken = null
+  user.emailChangeCancelToken = null
+  user.emailChangeExpiresAt = null
+}
+
+const requestEmailChange = async (id, email, context) => {
+  const user = await User.findOne({ where: { id } })
+  if (!user) throw new NotFoundException('user_not_found')
+
+  const token = randomString(32)
+  const cancelToken = randomString(32)
+  user.pendingEmail = email
+  user.emailChangeToken = hash(token)
+  user.emailChangeCancelToken = hash(cancelToken)
+  user.emailChangeExpiresAt = new Date(Date.now() + emailChangeLifetime)
   await user.save()
+
   try {
-    await EmailService.sendPasswordReset(email, user.passwordResetToken)
+    await EmailService.sendEmailChangeConfirmation(email, token)
+    await EmailService.sendEmailChangeNotice(user.email, cancelToken)
   } catch (error) {
+    clearEmailChange(user)
+    await user.save()
     throw new EmailException()
   }
+  await AuditService.record('email_change_requested', { ...context, targetId: user.id, details: { email } })
 }
 
-const findByPasswordResetToken = passwordResetToken => {
-  return User.findOne({ where: { passwordResetToken } })
+const findByEmailChangeToken = async (field, token) => {
+  const user = await User.findOne({ where: { [field]: hash(token), emailChangeExpiresAt: { [Sequelize.Op.gt]: new Date() } } })
+  if (!user || !matches(token, user[field])) throw new InvalidTokenEexception('email_change_failure')
+  return user
 }
 
-const updatePassword = async ({ passwordResetToken, password }) => {
-  const user = await findByPasswordResetToken(passwordResetToken)
-  const hash = await bcrypt.hash(password, 10)
-  user.password = hash
+const confirmEmailChange = async (token, authenticatedUser, context) => {
+  const user = await findByEmailChangeToken('emailChangeToken', token)
+  const emailInUse = await findByEmail(user.pendingEmail)
+  if (!emailInUse) user.email = user.pendingEmail
+  clearEmailChange(user)
+  await user.save()
+  if (emailInUse) throw new ValidationException([{ param: 'email', msg: 'email_in_use' }])
+  await AuditService.record('email_change_confirmed', { ...context, targetId: user.id, details: { email: user.email } })
+
+  // the session confirming the change is kept when it belongs to the same user
+  const currentTokenId = authenticatedUser && authenticatedUser.id === user.id && authenticatedUser.tokenId
+  if (currentTokenId) {
+    await TokenService.clearOtherTokens(user.id, currentTokenId)
+  } else {
+    await TokenService.clearTokens(user.id)
+  }
+}
+
+const cancelEmailChange = async (token, context) => {
+  const user = await findByEmailChangeToken('emailChangeCancelToken', token)
+  clearEmailChange(user)
+  await user.save()
+  await AuditService.record('email_change_cancelled', { ...context, targetId: user.id })
+}
+
+const changePassword = async (id, password, currentTokenId, context) => {
+  const user = await User.findOne({ where: { id } })
+  user.password = await bcrypt.hash(password, 10)
   user.passwordResetToken = null
-  user.inactive = false
-  user.activationToken = null
+  user.passwordResetTokenExpiresAt = null
   await user.save()
-  await TokenService.clearTokens(user.id)
+
+  await TokenService.clearOtherTokens(user.id, currentTokenId)
+  const tokens = await TokenService.rotateToken(currentTokenId)
+  await AuditService.record('password_changed', { ...context, targetId: user.id })
+
+  try {
+    await EmailService.sendPasswordChangeNotice(user.email)
+  } catch (error) {
+    // the password is already changed, an undelivered notice must not turn it into a failure
+  }
+
+  return tokens
 }
 
-module.exports = { save, findByEmail, activate, getUsers, getUser, updateUser, deleteUser, passwordResetRequest, updatePassword, findByPasswordResetToken }
+module.exports = {
+  save,
+  findByEmail,
+  findByUsername,
+  throttleEmail,
+  sendWithoutDisclosure,
+  activate,
+  resendActivation,
+  getUsers,
+  getUser,
+  getUserByUsername,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  getRestrictedUsers,
+  updateUser,
+  getPrivacy,
+  updatePrivacy,
+  deleteUser,
+  restoreUser,
+  purge,
+  scheduleCleanup,
+  deactivateUser,
+  isSelfDeactivated,
+  reactivateUser,
+  passwordResetRequest,
+  updatePassword,
+  findByPasswordResetToken,
+  verifyPassword,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  changePassword,
+}
@@ -2,10 +2,12 @@ const path = require('path')
 const fs = require('fs')
 const config = require('config')
 
-const { uploadDir, profileDir } = config
-const profileDirectory = path.join('.', uploadDir, profileDir)
+const { uploadDir, profileDir, exportDir } = config
 
-const files = fs.readdirSync(profileDirectory)
-for (let file of files) {
-  fs.unlinkSync(path.join(profileDirectory, file))
+for (let directory of [profileDir, exportDir]) {
+  const folder = path.join('.', uploadDir, directory)
+  const files = fs.readdirSync(folder)
+  for (let file of files) {
+    fs.unlinkSync(path.join(folder, file))
+  }
 }